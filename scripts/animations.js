@@ -1,71 +1,62 @@
 /**
  * GSAP Animations
- * Route animations and scroll-triggered content animations
+ * Scroll-triggered content animations
  */
 
-import { gsap, ScrollTrigger, shouldReduceMotion } from './gsap-setup.js';
+import { gsap } from './gsap-setup.js';
+import { registerMotion } from './motion.js';
 
-let animationInstances = [];
+const ANIMATED_CONTENT = '.story-card[data-animate], .food-card, .culture-text, .culture-feature';
 
+/**
+ * Register the content animations (again after the cards are rendered);
+ * the motion controller builds them while motion is on
+ */
 export function initAnimations() {
-  if (shouldReduceMotion()) {
-    console.log('Animations disabled: reduced motion preference');
-    return;
-  }
-  
-  // Clear existing animations
-  killAnimations();
-  
-  // Initialize different animation types
-  animateRoutes();
-  animateStoryCards();
-  animateFoodSection();
-  animateCultureSection();
+  registerMotion('content', {
+    setup: () => [
+      ...animateStoryCards(),
+      ...animateFoodSection(),
+      ...animateCultureSection()
+    ],
+    // Reset all animated elements to final state
+    reset: () => gsap.set(ANIMATED_CONTENT, { clearProps: 'all' })
+  });
   
   console.log('Scroll animations initialized');
 }
 
-function animateRoutes() {
-  // Routes animation removed - using Leaflet map instead of SVG routes
-  // Map markers are animated in map.js
-}
-
 function animateStoryCards() {
   const cards = document.querySelectorAll('.story-card[data-animate]');
   
-  cards.forEach((card, index) => {
-    const animation = gsap.fromTo(
-      card,
-      {
-        opacity: 0,
-        y: 40
+  return Array.from(cards, (card, index) => gsap.fromTo(
+    card,
+    {
+      opacity: 0,
+      y: 40
+    },
+    {
+      opacity: 1,
+      y: 0,
+      duration: 0.8,
+      ease: 'power2.out',
+      scrollTrigger: {
+        trigger: card,
+        start: 'top bottom-=100',
+        end: 'top center',
+        toggleActions: 'play none none reverse'
       },
-      {
-        opacity: 1,
-        y: 0,
-        duration: 0.8,
-        ease: 'power2.out',
-        scrollTrigger: {
-          trigger: card,
-          start: 'top bottom-=100',
-          end: 'top center',
-          toggleActions: 'play none none reverse'
-        },
-        delay: index * 0.15
-      }
-    );
-    
-    animationInstances.push(animation);
-  });
+      delay: index * 0.15
+    }
+  ));
 }
 
 function animateFoodSection() {
   const foodGrid = document.querySelector('.food-grid[data-animate]');
-  if (!foodGrid) return;
-  
-  const cards = foodGrid.querySelectorAll('.food-card');
+  const cards = foodGrid?.querySelectorAll('.food-card');
+  if (!cards?.length) return [];
   
-  const animation = gsap.fromTo(
+  return [gsap.fromTo(
     cards,
     {
       opacity: 0,
@@ -86,21 +77,20 @@ function animateFoodSection() {
         toggleActions: 'play none none reverse'
       }
     }
-  );
-  
-  animationInstances.push(animation);
+  )];
 }
 
 function animateCultureSection() {
   const cultureContent = document.querySelector('.culture-content[data-animate]');
-  if (!cultureContent) return;
+  if (!cultureContent) return [];
   
+  const instances = [];
   const text = cultureContent.querySelector('.culture-text');
   const features = cultureContent.querySelectorAll('.culture-feature');
   
   // Animate text
   if (text) {
-    const textAnimation = gsap.fromTo(
+    instances.push(gsap.fromTo(
       text,
       {
         opacity: 0,
@@ -117,14 +107,12 @@ function animateCultureSection() {
           toggleActions: 'play none none reverse'
         }
       }
-    );
-    
-    animationInstances.push(textAnimation);
+    ));
   }
   
   // Animate features
   if (features.length > 0) {
-    const featuresAnimation = gsap.fromTo(
+    instances.push(gsap.fromTo(
       features,
       {
         opacity: 0,
@@ -142,40 +130,8 @@ function animateCultureSection() {
           toggleActions: 'play none none reverse'
         }
       }
-    );
-    
-    animationInstances.push(featuresAnimation);
-  }
-}
-
-export function killAnimations() {
-  animationInstances.forEach(instance => {
-    if (instance && instance.scrollTrigger) {
-      instance.scrollTrigger.kill();
-    }
-    if (instance && instance.kill) {
-      instance.kill();
-    }
-  });
-  animationInstances = [];
-}
-
-export function toggleAnimations(enabled) {
-  if (enabled) {
-    initAnimations();
-  } else {
-    killAnimations();
-    
-    // Reset all animated elements to final state
-    gsap.set('.story-card[data-animate], .food-card, .culture-text, .culture-feature', {
-      opacity: 1,
-      y: 0,
-      x: 0,
-      scale: 1,
-      clearProps: 'all'
-    });
-    
-    // Routes reset removed - using Leaflet map
+    ));
   }
+  
+  return instances;
 }
-
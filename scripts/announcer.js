@@ -0,0 +1,26 @@
+/**
+ * Announcer
+ * One shared polite live region (#announcer in index.html) for changes
+ * a screen reader would otherwise miss: "Image 2 of 3" in the gallery,
+ * the current history event, the result of sending the contact form.
+ *
+ *   announce(t('modal.imageStatus', { number: 2, total: 3 }));
+ */
+
+// Long enough for screen readers to notice the region was emptied
+const ANNOUNCE_DELAY = 100; // ms
+
+let pending = null;
+
+export function announce(message) {
+  const region = document.getElementById('announcer');
+  if (!region || !message) return;
+  
+  // Empty the region first so the same message twice in a row is read again
+  clearTimeout(pending);
+  region.textContent = '';
+  
+  pending = setTimeout(() => {
+    region.textContent = message;
+  }, ANNOUNCE_DELAY);
+}
@@ -3,15 +3,25 @@
  * Initializes all modules and handles global functionality
  */
 
-import { initParallax, toggleParallax } from './parallax.js';
-import { initMap } from './map.js';
+import { initParallax } from './parallax.js';
+import { initMap, getLocations } from './map.js';
+import { initHeroMap } from './svg-map.js';
+import { initSearch } from './search.js';
+import { initDialogs } from './dialog.js';
 import { initModal } from './modal.js';
-import { initAnimations, toggleAnimations } from './animations.js';
-import { initHistory, toggleHistoryAnimations } from './history.js';
-import { shouldReduceMotion, refreshScrollTrigger } from './gsap-setup.js';
-
-// State
-let motionEnabled = true;
+import { initCards } from './cards.js';
+import { initTour } from './tour.js';
+import { initImages } from './images.js';
+import { initAnimations } from './animations.js';
+import { initHistory } from './history.js';
+import { initRouter } from './router.js';
+import { initItinerary } from './itinerary.js';
+import { initContactForm } from './contact.js';
+import { initServiceWorker } from './pwa.js';
+import { initI18n, t } from './i18n.js';
+import { html } from './html.js';
+import { initMotion, isMotionEnabled, setMotionEnabled, restoreMotion } from './motion.js';
+import { initGsap, refreshScrollTrigger } from './gsap-setup.js';
 
 /**
  * Initialize the application
@@ -19,252 +29,102 @@ let motionEnabled = true;
 function init() {
   console.log('🏝️ Initializing Sicily Live Map...');
   
-  // Check motion preferences
-  checkMotionPreference();
+  // Language first, modules render translated text
+  initI18n();
+  
+  // Motion preference (and the header toggle) before anything registers animations
+  initMotion();
+  
+  // GSAP and Leaflet come from the loader in index.html (it never rejects);
+  // animations registered while GSAP was loading are built then
+  const librariesReady = (window.sicilyLibrariesReady || Promise.resolve()).then(() => {
+    initGsap();
+    restoreMotion();
+  });
   
-  // Initialize all modules
+  // Initialize all modules; the map waits for Leaflet
   initParallax();
-  initMap();
+  const mapReady = librariesReady.then(initMap);
+  initSearch();
+  const imagesReady = initImages();
+  initDialogs();
   initModal();
-  initAnimations();
-  initHistory();
+  const cardsReady = initCards();
+  const historyReady = initHistory();
   
-  // Setup motion toggle
-  setupMotionToggle();
+  // Story, food and culture cards come from data: animate them once they are in the page
+  cardsReady.then(() => {
+    initAnimations();
+    refreshScrollTrigger();
+  });
   
-  // Setup contact form
-  setupContactForm();
+  // The itinerary restores saved stops from locations data
+  mapReady.then(initItinerary);
   
-  // Setup smooth scrolling for anchor links
-  setupSmoothScroll();
+  // The hero intro draws the same places
+  mapReady.then(() => initHeroMap(getLocations()));
   
-  // Listen for system motion preference changes
-  watchMotionPreference();
+  // The stories tour needs the map's locations and the story cards
+  Promise.all([mapReady, cardsReady]).then(initTour);
   
-  console.log('✅ Application initialized successfully');
-}
-
-/**
- * Check and apply motion preferences
- */
-function checkMotionPreference() {
-  // Check localStorage
-  const savedPreference = localStorage.getItem('motionEnabled');
+  // Deep links need locations and history data (and the image manifest for the gallery)
+  Promise.all([mapReady, historyReady, imagesReady]).then(initRouter);
   
-  // Check system preference
-  const prefersReduced = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  // Contact form
+  initContactForm();
   
-  if (savedPreference !== null) {
-    motionEnabled = savedPreference === 'true';
-  } else if (prefersReduced) {
-    motionEnabled = false;
-  }
+  // Setup smooth scrolling for anchor links
+  setupSmoothScroll();
   
-  applyMotionPreference(motionEnabled);
-}
-
-/**
- * Apply motion preference to the page
- */
-function applyMotionPreference(enabled) {
-  motionEnabled = enabled;
+  // Offline support
+  initServiceWorker();
   
-  if (enabled) {
-    document.documentElement.classList.remove('reduce-motion');
-  } else {
-    document.documentElement.classList.add('reduce-motion');
-  }
+  // The page works without the libraries, but say what's missing
+  librariesReady.then(setupLibraryBanner);
   
-  // Update toggle button
-  updateMotionToggleButton();
-  
-  // Save preference
-  localStorage.setItem('motionEnabled', enabled.toString());
+  console.log('✅ Application initialized successfully');
 }
 
 /**
- * Setup motion toggle button
+ * Banner for libraries the loader in index.html couldn't load
+ * (window.sicilyLibraries), with a retry that reloads the page
  */
-function setupMotionToggle() {
-  const toggle = document.getElementById('motionToggle');
-  if (!toggle) return;
+const LIBRARY_MESSAGES = {
+  leaflet: 'libraries.map',
+  gsap: 'libraries.animations'
+};
+
+function setupLibraryBanner() {
+  const status = window.sicilyLibraries || {};
+  const missing = Object.keys(LIBRARY_MESSAGES).filter(name => status[name] && status[name] !== 'loaded');
+  if (missing.length === 0) return;
+  
+  console.warn('⚠️ Libraries not loaded:', missing.map(name => `${name} (${status[name]})`).join(', '));
+  
+  const banner = document.createElement('div');
+  banner.className = 'library-banner';
+  banner.setAttribute('role', 'alert');
+  
+  const render = () => {
+    banner.innerHTML = html`
+      <span class="library-banner-text">${missing.map(name => t(LIBRARY_MESSAGES[name])).join(' ')}</span>
+      <button type="button" class="library-banner-retry">${t('libraries.retry')}</button>
+      <button type="button" class="library-banner-close" aria-label="${t('libraries.close')}">✕</button>
+    `;
+  };
   
-  toggle.addEventListener('click', () => {
-    motionEnabled = !motionEnabled;
-    applyMotionPreference(motionEnabled);
-    
-    // Reinitialize or kill animations
-    if (motionEnabled) {
-      initParallax();
-      initAnimations();
-    } else {
-      toggleParallax(false);
-      toggleAnimations(false);
-      toggleHistoryAnimations(false);
+  banner.addEventListener('click', (e) => {
+    if (e.target.closest('.library-banner-retry')) {
+      window.location.reload();
+    } else if (e.target.closest('.library-banner-close')) {
+      banner.remove();
+      document.removeEventListener('i18n:change', render);
     }
-    
-    // Refresh ScrollTrigger
-    setTimeout(() => {
-      refreshScrollTrigger();
-    }, 100);
   });
   
-  updateMotionToggleButton();
-}
-
-/**
- * Update motion toggle button state
- */
-function updateMotionToggleButton() {
-  const toggle = document.getElementById('motionToggle');
-  if (!toggle) return;
-  
-  const stateSpan = toggle.querySelector('.toggle-state');
-  
-  if (motionEnabled) {
-    toggle.setAttribute('aria-pressed', 'false');
-    if (stateSpan) stateSpan.textContent = 'Вкл';
-  } else {
-    toggle.setAttribute('aria-pressed', 'true');
-    if (stateSpan) stateSpan.textContent = 'Выкл';
-  }
-}
-
-/**
- * Watch for system motion preference changes
- */
-function watchMotionPreference() {
-  const mediaQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
-  
-  mediaQuery.addEventListener('change', (e) => {
-    // Only apply if user hasn't set manual preference
-    if (localStorage.getItem('motionEnabled') === null) {
-      const shouldReduce = e.matches;
-      applyMotionPreference(!shouldReduce);
-      
-      if (!shouldReduce) {
-        initParallax();
-        initAnimations();
-      } else {
-        toggleParallax(false);
-        toggleAnimations(false);
-        toggleHistoryAnimations(false);
-      }
-    }
-  });
-}
-
-/**
- * Setup contact form validation and submission
- */
-function setupContactForm() {
-  const form = document.getElementById('contactForm');
-  if (!form) return;
-  
-  const nameInput = form.querySelector('#name');
-  const emailInput = form.querySelector('#email');
-  const messageInput = form.querySelector('#message');
-  
-  // Real-time validation
-  nameInput?.addEventListener('blur', () => validateField(nameInput, 'name'));
-  emailInput?.addEventListener('blur', () => validateField(emailInput, 'email'));
-  messageInput?.addEventListener('blur', () => validateField(messageInput, 'message'));
-  
-  // Clear errors on input
-  [nameInput, emailInput, messageInput].forEach(input => {
-    input?.addEventListener('input', () => {
-      const errorId = `${input.id}-error`;
-      const errorElement = document.getElementById(errorId);
-      if (errorElement) {
-        errorElement.textContent = '';
-      }
-      input.classList.remove('error');
-    });
-  });
-  
-  // Form submission
-  form.addEventListener('submit', handleFormSubmit);
-}
-
-/**
- * Validate individual form field
- */
-function validateField(input, type) {
-  const errorId = `${input.id}-error`;
-  const errorElement = document.getElementById(errorId);
-  if (!errorElement) return true;
-  
-  let error = '';
-  
-  if (!input.value.trim()) {
-    error = 'Это поле обязательно для заполнения';
-  } else if (type === 'email') {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(input.value)) {
-      error = 'Введите корректный email адрес';
-    }
-  } else if (type === 'name' && input.value.trim().length < 2) {
-    error = 'Имя должно содержать минимум 2 символа';
-  } else if (type === 'message' && input.value.trim().length < 10) {
-    error = 'Сообщение должно содержать минимум 10 символов';
-  }
-  
-  errorElement.textContent = error;
-  
-  if (error) {
-    input.classList.add('error');
-    return false;
-  } else {
-    input.classList.remove('error');
-    return true;
-  }
-}
-
-/**
- * Handle form submission
- */
-function handleFormSubmit(e) {
-  e.preventDefault();
-  
-  const form = e.target;
-  const nameInput = form.querySelector('#name');
-  const emailInput = form.querySelector('#email');
-  const messageInput = form.querySelector('#message');
-  
-  // Validate all fields
-  const nameValid = validateField(nameInput, 'name');
-  const emailValid = validateField(emailInput, 'email');
-  const messageValid = validateField(messageInput, 'message');
-  
-  if (!nameValid || !emailValid || !messageValid) {
-    // Focus first invalid field
-    if (!nameValid) nameInput.focus();
-    else if (!emailValid) emailInput.focus();
-    else if (!messageValid) messageInput.focus();
-    return;
-  }
-  
-  // Show success message
-  const successElement = document.getElementById('form-success');
-  if (successElement) {
-    successElement.textContent = '✅ Спасибо! Ваше сообщение успешно отправлено.';
-    successElement.classList.add('show');
-    
-    // Hide after 5 seconds
-    setTimeout(() => {
-      successElement.classList.remove('show');
-    }, 5000);
-  }
-  
-  // Reset form
-  form.reset();
-  
-  // In production, you would send data to a server here
-  console.log('Form submitted:', {
-    name: nameInput.value,
-    email: emailInput.value,
-    message: messageInput.value
-  });
+  document.addEventListener('i18n:change', render);
+  render();
+  document.body.appendChild(banner);
 }
 
 /**
@@ -275,8 +135,8 @@ function setupSmoothScroll() {
     anchor.addEventListener('click', function(e) {
       const href = this.getAttribute('href');
       
-      // Skip if it's just "#"
-      if (href === '#') return;
+      // Skip if it's just "#" or a router link like "#/place/palermo"
+      if (href === '#' || href.startsWith('#/')) return;
       
       const target = document.querySelector(href);
       if (!target) return;
@@ -289,7 +149,7 @@ function setupSmoothScroll() {
       
       window.scrollTo({
         top: targetPosition,
-        behavior: motionEnabled ? 'smooth' : 'auto'
+        behavior: isMotionEnabled() ? 'smooth' : 'auto'
       });
       
       // Update focus for accessibility
@@ -318,22 +178,6 @@ function setupLazyLoading() {
   }
 }
 
-/**
- * Handle page visibility changes
- */
-function handleVisibilityChange() {
-  document.addEventListener('visibilitychange', () => {
-    if (document.hidden) {
-      // Page is hidden, pause animations if needed
-      console.log('Page hidden');
-    } else {
-      // Page is visible again
-      console.log('Page visible');
-      refreshScrollTrigger();
-    }
-  });
-}
-
 // Initialize when DOM is ready
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', init);
@@ -343,7 +187,6 @@ if (document.readyState === 'loading') {
 
 // Setup additional features
 setupLazyLoading();
-handleVisibilityChange();
 
 // Handle window resize (debounced)
 let resizeTimeout;
@@ -357,18 +200,10 @@ window.addEventListener('resize', () => {
 // Expose for debugging
 if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
   window.sicilyApp = {
-    motionEnabled,
-    toggleMotion: (enabled) => {
-      applyMotionPreference(enabled);
-      if (enabled) {
-        initParallax();
-        initAnimations();
-      } else {
-        toggleParallax(false);
-        toggleAnimations(false);
-        toggleHistoryAnimations(false);
-      }
+    get motionEnabled() {
+      return isMotionEnabled();
     },
+    toggleMotion: (enabled) => setMotionEnabled(enabled),
     refreshScrollTrigger
   };
 }
@@ -0,0 +1,231 @@
+/**
+ * Story, Food & Culture Cards
+ * Renders the stories, food and culture sections from data/stories.json,
+ * data/dishes.json and data/culture.json, and opens the detail dialogs
+ * ("dish", "feature") of their cards.
+ *
+ * Cards keep the data-animate hooks used by animations.js. Every item lists
+ * its places (`locations`, ids from locations.json): "Show on map" points
+ * them out on the map, and dialogs link to them.
+ */
+
+import { openDialog, registerDialogType, renderDialogLinks } from './dialog.js';
+import { getLocationById, showOnMap } from './map.js';
+import { buildHash } from './router.js';
+import { upgradeImages } from './images.js';
+import { shouldReduceMotion } from './gsap-setup.js';
+import { t, localize } from './i18n.js';
+import { html } from './html.js';
+
+/**
+ * type -> where the data comes from, where its cards go and how they look.
+ * renderCard draws the whole card once; renderText draws the part with
+ * translatable text ([data-card-text]), redrawn when the language changes
+ * so animated cards and loaded images stay in place.
+ */
+const CARD_TYPES = {
+  story: {
+    url: './data/stories.json',
+    container: '.stories-grid',
+    renderCard: item => html`
+      <article class="story-card" data-animate data-card="story" data-card-id="${item.id}">
+        <div class="story-image">
+          <img src="${item.image}" alt="" sizes="(max-width: 768px) 100vw, 400px" loading="lazy" decoding="async" data-responsive>
+        </div>
+        <div class="story-content" data-card-text>${renderStoryText(item)}</div>
+      </article>
+    `,
+    renderText: renderStoryText
+  },
+  dish: {
+    url: './data/dishes.json',
+    container: '.food-grid',
+    placesTitle: 'dialog.whereToTry',
+    renderCard: item => html`
+      <div class="food-card" data-card="dish" data-card-id="${item.id}" data-card-text>${renderDishText(item)}</div>
+    `,
+    renderText: renderDishText
+  },
+  feature: {
+    url: './data/culture.json',
+    container: '.culture-features',
+    placesTitle: 'dialog.whereToSee',
+    renderCard: item => html`
+      <div class="culture-feature" data-card="feature" data-card-id="${item.id}" data-card-text>${renderFeatureText(item)}</div>
+    `,
+    renderText: renderFeatureText
+  }
+};
+
+// type -> items loaded from its JSON file
+const items = {};
+
+/**
+ * A loaded card item, e.g. getCardItem('story', 'palermo'); null if unknown
+ */
+export function getCardItem(type, id) {
+  return items[type]?.find(item => item.id === id) || null;
+}
+
+// Story titles and the names of dishes and features
+function getName(item) {
+  return localize(item.title || item.name);
+}
+
+function renderActions(type, item) {
+  const name = getName(item);
+  
+  return html`
+    <div class="card-actions">
+      ${CARD_TYPES[type].placesTitle && html`
+        <button type="button" class="card-more" data-dialog="${type}" data-dialog-id="${item.id}" aria-label="${t('dialog.moreAbout', { name })}">${t('dialog.more')}</button>
+      `}
+      ${item.locations?.length > 0 && html`
+        <button type="button" class="card-more card-map" data-show-on-map="${type}" data-card-id="${item.id}" aria-label="${t('cards.showOnMapLabel', { name })}">${t('cards.showOnMap')}</button>
+      `}
+    </div>
+  `;
+}
+
+function renderStoryText(item) {
+  return html`
+    <h3>${localize(item.title)}</h3>
+    <p>${localize(item.text)}</p>
+    ${renderActions('story', item)}
+  `;
+}
+
+function renderDishText(item) {
+  return html`
+    <div class="food-icon" aria-hidden="true">${item.icon}</div>
+    <h3>${getName(item)}</h3>
+    <p>${localize(item.text)}</p>
+    ${renderActions('dish', item)}
+  `;
+}
+
+function renderFeatureText(item) {
+  return html`
+    <h4>${item.icon && html`<span aria-hidden="true">${item.icon}</span>`} ${getName(item)}</h4>
+    <p>${localize(item.text)}</p>
+    ${renderActions('feature', item)}
+  `;
+}
+
+async function loadCards(type) {
+  try {
+    const response = await fetch(CARD_TYPES[type].url);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    items[type] = await response.json();
+  } catch (error) {
+    console.error(`❌ Failed to load ${type} cards:`, error);
+    items[type] = null;
+  }
+}
+
+function renderCards(type) {
+  const container = document.querySelector(CARD_TYPES[type].container);
+  if (!container) return;
+  
+  container.innerHTML = items[type]
+    ? html`${items[type].map(CARD_TYPES[type].renderCard)}`
+    : html`<p class="cards-error">${t('cards.loadError')}</p>`;
+  
+  // Story images get <picture> sources once the image manifest is known
+  upgradeImages(container);
+}
+
+// New language: redraw card texts in place
+function updateCardTexts() {
+  document.querySelectorAll('[data-card-text]').forEach(element => {
+    const card = element.closest('[data-card]');
+    const item = getCardItem(card.dataset.card, card.dataset.cardId);
+    if (item) {
+      element.innerHTML = CARD_TYPES[card.dataset.card].renderText(item);
+    }
+  });
+  
+  document.querySelectorAll('.cards-error').forEach(element => {
+    element.textContent = t('cards.loadError');
+  });
+}
+
+function renderCardDialog(type) {
+  return (body, item) => {
+    const places = (item.locations || [])
+      .map(getLocationById)
+      .filter(Boolean)
+      .map(location => ({
+        href: buildHash({ name: 'place', locationId: location.id }),
+        label: localize(location.name)
+      }));
+    
+    body.innerHTML = html`
+      <div class="dialog-content">
+        ${item.icon && html`<div class="dialog-icon" aria-hidden="true">${item.icon}</div>`}
+        <p class="dialog-lead">${localize(item.text)}</p>
+        <p>${localize(item.details)}</p>
+        ${renderDialogLinks(t(CARD_TYPES[type].placesTitle), places)}
+      </div>
+    `;
+  };
+}
+
+// Scroll to the map (under the fixed header) and move focus there, so keyboard users follow
+function goToMap() {
+  const section = document.getElementById('map');
+  if (!section) return;
+  
+  const headerHeight = document.querySelector('.header')?.offsetHeight || 0;
+  window.scrollTo({
+    top: section.getBoundingClientRect().top + window.pageYOffset - headerHeight,
+    behavior: shouldReduceMotion() ? 'auto' : 'smooth'
+  });
+  
+  document.getElementById('sicilyMap')?.focus({ preventScroll: true });
+}
+
+function handleCardClick(e) {
+  const mapButton = e.target.closest('[data-show-on-map]');
+  if (mapButton) {
+    const item = getCardItem(mapButton.dataset.showOnMap, mapButton.dataset.cardId);
+    if (!item) return;
+    
+    goToMap();
+    showOnMap(item.locations, item.title || item.name);
+    return;
+  }
+  
+  const button = e.target.closest('[data-dialog]');
+  const item = button && getCardItem(button.dataset.dialog, button.dataset.dialogId);
+  if (!item) return;
+  
+  openDialog(button.dataset.dialog, item);
+}
+
+/**
+ * Initialize cards: dialogs right away, sections once their data is loaded.
+ * Resolves when all sections are rendered.
+ */
+export async function initCards() {
+  Object.entries(CARD_TYPES).forEach(([type, config]) => {
+    if (config.placesTitle) {
+      registerDialogType(type, {
+        title: getName,
+        render: renderCardDialog(type)
+      });
+    }
+  });
+  
+  document.addEventListener('click', handleCardClick);
+  document.addEventListener('i18n:change', updateCardTexts);
+  
+  await Promise.all(Object.keys(CARD_TYPES).map(async type => {
+    await loadCards(type);
+    renderCards(type);
+  }));
+  
+  console.log('✅ Story, food and culture cards rendered');
+}
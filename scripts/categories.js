@@ -0,0 +1,49 @@
+/**
+ * Location Categories
+ * Colours and icons for the location types shown on the map
+ * (labels are in the message catalogues under "categories.<id>")
+ */
+
+import { t } from './i18n.js';
+
+export const CATEGORIES = {
+  city: {
+    color: '#E67E22',
+    icon: '🏙️'
+  },
+  ruins: {
+    color: '#95A472',
+    icon: '🏛️'
+  },
+  coast: {
+    color: '#3498DB',
+    icon: '🌊'
+  },
+  volcano: {
+    color: '#C0392B',
+    icon: '🌋'
+  }
+};
+
+// Used for locations without a category or with an unknown one
+export const DEFAULT_CATEGORY = 'city';
+
+/**
+ * Resolve the category id of a location
+ */
+export function getLocationCategory(location) {
+  const category = location?.category;
+  return CATEGORIES[category] ? category : DEFAULT_CATEGORY;
+}
+
+/**
+ * Get category config by id (falls back to the default category)
+ */
+export function getCategory(categoryId) {
+  return CATEGORIES[categoryId] || CATEGORIES[DEFAULT_CATEGORY];
+}
+
+// Translated category name
+export function getCategoryLabel(categoryId) {
+  return t(`categories.${CATEGORIES[categoryId] ? categoryId : DEFAULT_CATEGORY}`);
+}
@@ -0,0 +1,86 @@
+/**
+ * Chronology
+ * Turns year labels from history.json into signed numeric ranges
+ *
+ *   parseYearRange('735-212 до н.э.')     // { start: -735, end: -212 }
+ *   parseYearRange('212 BC - 476 AD')     // { start: -212, end: 476 }
+ *   parseYearRange('1061-1091')           // { start: 1061, end: 1091 }
+ *   parseYearRange('1860 - present')      // { start: 1860, end: <current year> }
+ *
+ * Years before the common era are negative; localised objects
+ * ({ ru, en, it }) are parsed from whichever language variant works.
+ */
+
+import { t } from './i18n.js';
+
+const RANGE_SEPARATOR = /\s*[-–—]\s*/;
+
+// Era suffixes (checked against the text after the number)
+const BCE = /^(?:до\s*н\.?\s*э\.?|до\s*р\.?\s*х\.?|b\.?\s*c\.?(?:\s*e\.?)?|a\.?\s*c\.?)$/i;
+const CE = /^(?:н\.?\s*э\.?|от\s*р\.?\s*х\.?|a\.?\s*d\.?|c\.?\s*e\.?|d\.?\s*c\.?)$/i;
+const PRESENT = /^(?:настоящее время|наши дни|сегодня|present|present day|today|now|oggi)$/i;
+
+/**
+ * One side of a range: { year, era } where era is -1, 1 or null (not stated)
+ */
+function parseYear(text) {
+  const value = text.trim();
+  
+  if (PRESENT.test(value)) {
+    return { year: new Date().getFullYear(), era: 1 };
+  }
+  
+  const match = /^(\d{1,4})\s*(.*)$/.exec(value);
+  if (!match) return null;
+  
+  const suffix = match[2].trim();
+  let era = null;
+  
+  if (BCE.test(suffix)) {
+    era = -1;
+  } else if (CE.test(suffix)) {
+    era = 1;
+  } else if (suffix) {
+    return null;
+  }
+  
+  return { year: Number(match[1]), era };
+}
+
+/**
+ * Parse a year or a year range into { start, end } (null if it can't be read)
+ * An era stated only once applies to the whole range: "735-212 BC"
+ */
+export function parseYearRange(value) {
+  if (typeof value === 'number') {
+    return { start: value, end: value };
+  }
+  
+  if (value && typeof value === 'object') {
+    for (const text of Object.values(value)) {
+      const range = parseYearRange(text);
+      if (range) return range;
+    }
+    return null;
+  }
+  
+  if (typeof value !== 'string') return null;
+  
+  const parts = value.split(RANGE_SEPARATOR).map(parseYear);
+  if (parts.length > 2 || parts.some(part => !part)) return null;
+  
+  const [first, last = first] = parts;
+  const start = first.year * (first.era ?? last.era ?? 1);
+  const end = last.year * (last.era ?? 1);
+  
+  return { start: Math.min(start, end), end: Math.max(start, end) };
+}
+
+/**
+ * Label for a signed year in the current language ("480 до н.э.", "1130")
+ */
+export function formatYear(year) {
+  if (year < 0) return t('history.yearBC', { year: -year });
+  if (year === 0) return t('history.eraStart');
+  return String(year);
+}
@@ -0,0 +1,191 @@
+/**
+ * Contact Form
+ * Checks fields against CONTACT_SCHEMA (scripts/validation.js, the same rules
+ * the server applies; errors and focus are handled by scripts/form-validation.js)
+ * and sends the message to POST /api/contact (tools/server.mjs) with pending,
+ * success and error states.
+ * Success is only shown once the server has confirmed it saved the message;
+ * without a connection the message goes to the outbox (scripts/outbox.js)
+ * and is listed under the form until it is sent or cancelled.
+ */
+
+import { t, getLocale } from './i18n.js';
+import { html } from './html.js';
+import { announce } from './announcer.js';
+import { CONTACT_SCHEMA } from './validation.js';
+import { createFormValidator } from './form-validation.js';
+import { deliverMessage, queueMessage, cancelMessage, createMessageId, initOutbox } from './outbox.js';
+
+const SUCCESS_TIMEOUT = 5000; // ms
+const EXCERPT_LENGTH = 60; // characters of a queued message shown in the list
+
+let form = null;
+let validator = null;
+let statusTimeout = null;
+let outboxMessages = [];
+
+/**
+ * Message under the submit button: state 'success' | 'queued' | 'error', null hides it
+ */
+function showStatus(state, key = null) {
+  const status = document.getElementById('form-status');
+  if (!status) return;
+  
+  clearTimeout(statusTimeout);
+  status.hidden = !state;
+  if (!state) return;
+  
+  status.dataset.state = state;
+  status.dataset.message = key;
+  status.textContent = t(key);
+  announce(t(key));
+  
+  if (state === 'success') {
+    statusTimeout = setTimeout(() => {
+      status.hidden = true;
+    }, SUCCESS_TIMEOUT);
+  }
+}
+
+function isPending() {
+  return form.getAttribute('aria-busy') === 'true';
+}
+
+function setPending(pending) {
+  const button = form.querySelector('[type="submit"]');
+  
+  form.setAttribute('aria-busy', String(pending));
+  if (button) {
+    button.disabled = pending;
+    button.textContent = pending ? t('contact.sending') : t('contact.submit');
+  }
+}
+
+async function handleSubmit(e) {
+  e.preventDefault();
+  if (isPending()) return;
+  
+  showStatus(null);
+  
+  const { valid, values } = await validator.validate();
+  if (!valid) return;
+  
+  const message = { id: createMessageId(), values };
+  
+  setPending(true);
+  
+  // Offline there is no point waiting for the request to fail
+  const result = navigator.onLine ? await deliverMessage(message) : { ok: false, error: 'network' };
+  const queued = result.error === 'network' && await queueMessage(message);
+  
+  setPending(false);
+  
+  if (result.ok || queued) {
+    form.reset();
+    validator.reset();
+    showStatus(queued ? 'queued' : 'success', queued ? 'contact.queued' : 'contact.success');
+    return;
+  }
+  
+  // The server found problems the browser didn't (e.g. an outdated copy of the rules)
+  if (validator.showErrors(result.errors)) return;
+  
+  showStatus('error', `contact.errors.${result.error}`);
+}
+
+function formatTime(timestamp) {
+  return new Intl.DateTimeFormat(getLocale(), { dateStyle: 'short', timeStyle: 'short' }).format(timestamp);
+}
+
+function getExcerpt(text) {
+  return text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH).trim()}…` : text;
+}
+
+function getOutboxStatus(message) {
+  if (message.status === 'rejected') return t('contact.outbox.rejected');
+  if (!navigator.onLine) return t('contact.outbox.offline');
+  
+  return t('contact.outbox.retry', { time: formatTime(message.nextAttemptAt) });
+}
+
+/**
+ * Messages waiting in the outbox, each with a cancel button
+ */
+function renderOutbox() {
+  const section = document.getElementById('contactOutbox');
+  const list = section?.querySelector('.contact-outbox-list');
+  if (!list) return;
+  
+  section.hidden = outboxMessages.length === 0;
+  
+  list.innerHTML = outboxMessages.map(message => {
+    const excerpt = getExcerpt(message.values.message);
+    
+    return html`
+      <li class="contact-outbox-item" data-status="${message.status}">
+        <div class="contact-outbox-text">
+          <span class="contact-outbox-message">${excerpt}</span>
+          <span class="contact-outbox-meta">${formatTime(message.createdAt)} · ${getOutboxStatus(message)}</span>
+        </div>
+        <button type="button" class="contact-outbox-cancel" data-outbox-cancel="${message.id}" aria-label="${t('contact.outbox.cancelLabel', { message: excerpt })}">
+          ${t('contact.outbox.cancel')}
+        </button>
+      </li>
+    `;
+  }).join('');
+}
+
+async function handleOutboxClick(e) {
+  const button = e.target.closest('[data-outbox-cancel]');
+  if (!button) return;
+  
+  button.disabled = true;
+  await cancelMessage(button.dataset.outboxCancel);
+  announce(t('contact.outbox.cancelled'));
+  
+  // The button is gone: continue from the list, or the form if it is empty now
+  const section = document.getElementById('contactOutbox');
+  const next = section && !section.hidden ? section.querySelector('.contact-outbox-title') : form.querySelector('[type="submit"]');
+  next?.focus();
+}
+
+/**
+ * Initialize the contact form
+ */
+export function initContactForm() {
+  form = document.getElementById('contactForm');
+  if (!form) return;
+  
+  validator = createFormValidator(form, CONTACT_SCHEMA);
+  form.addEventListener('submit', handleSubmit);
+  
+  // Outbox: queued messages under the form
+  document.getElementById('contactOutbox')?.addEventListener('click', handleOutboxClick);
+  
+  document.addEventListener('outbox:change', (e) => {
+    outboxMessages = e.detail.messages;
+    renderOutbox();
+  });
+  
+  document.addEventListener('outbox:sent', () => {
+    showStatus('success', 'contact.outbox.sent');
+  });
+  
+  // "Waiting for a connection" <-> "next attempt at ..."
+  window.addEventListener('online', renderOutbox);
+  window.addEventListener('offline', renderOutbox);
+  
+  initOutbox();
+  
+  // Re-translate the status message, the pending button and the outbox
+  // (field errors are handled by the validator)
+  document.addEventListener('i18n:change', () => {
+    const status = document.getElementById('form-status');
+    if (status && !status.hidden) {
+      status.textContent = t(status.dataset.message);
+    }
+    
+    if (isPending()) setPending(true);
+    renderOutbox();
+  });
+}
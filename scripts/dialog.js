@@ -0,0 +1,265 @@
+/**
+ * Dialogs
+ * Modal dialogs with content renderers registered per type
+ * (location, event, dish, feature). Dialogs stack: a dialog opened from
+ * inside another one lies on top of it, and closing a layer returns focus
+ * to the element that opened that layer.
+ *
+ *   registerDialogType('dish', {
+ *     title: dish => dish.name,
+ *     render: (body, dish) => { body.innerHTML = html`<p>${dish.text}</p>`; }
+ *   });
+ *   openDialog('dish', dish);
+ *
+ * One dialog per type: opening a type that is already in the stack closes
+ * the layers above it and shows the new data in that layer.
+ *
+ * Events on document: dialog:open and dialog:close, detail { type, data }
+ */
+
+import { t } from './i18n.js';
+import { html } from './html.js';
+import { createFocusTrap, focusFirstElement } from './focus-trap.js';
+
+// .modal in modal.css; each stacked layer goes one above the previous
+const BASE_Z_INDEX = 9999;
+
+const types = new Map();
+const elements = new Map();
+
+// Open layers, bottom first: { type, data, element, opener, trap }
+const stack = [];
+
+/**
+ * Register a content renderer for a dialog type
+ * renderer: {
+ *   title(data)                       - text for the dialog heading
+ *   render(body, data, { refresh })   - fill .modal-body (refresh: same data, new language)
+ *   element                           - existing dialog markup to use (optional)
+ *   onClose(data)                     - cleanup when the layer closes (optional)
+ *   handleKeydown(e, data)            - keys for the top layer; return true if used (optional)
+ * }
+ */
+export function registerDialogType(type, renderer) {
+  types.set(type, renderer);
+  
+  if (renderer.element) {
+    setupDialogElement(type, renderer.element);
+  }
+}
+
+/**
+ * Generic dialog markup, same structure (and styles) as #modal in index.html
+ */
+function createDialogElement(type) {
+  const titleId = `dialog-${type}-title`;
+  const wrapper = document.createElement('div');
+  
+  wrapper.innerHTML = html`
+    <div class="modal dialog dialog--${type}" role="dialog" aria-modal="true" aria-labelledby="${titleId}" aria-hidden="true">
+      <div class="modal-backdrop"></div>
+      <div class="modal-container">
+        <div class="modal-header">
+          <h2 id="${titleId}" class="modal-title"></h2>
+          <button type="button" class="modal-close" aria-label="${t('modal.close')}" data-i18n-aria-label="modal.close">
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+              <line x1="18" y1="6" x2="6" y2="18"></line>
+              <line x1="6" y1="6" x2="18" y2="18"></line>
+            </svg>
+          </button>
+        </div>
+        <div class="modal-body"></div>
+      </div>
+    </div>
+  `;
+  
+  const element = wrapper.firstElementChild;
+  document.body.appendChild(element);
+  setupDialogElement(type, element);
+  
+  return element;
+}
+
+function setupDialogElement(type, element) {
+  elements.set(type, element);
+  
+  // Close on the backdrop or the close button
+  element.addEventListener('click', (e) => {
+    if (e.target.classList.contains('modal-backdrop') || e.target.closest('.modal-close')) {
+      closeDialog(type);
+    }
+  });
+}
+
+function getDialogElement(type) {
+  return elements.get(type) || createDialogElement(type);
+}
+
+function renderLayer(layer, refresh = false) {
+  const renderer = types.get(layer.type);
+  const title = layer.element.querySelector('.modal-title');
+  const body = layer.element.querySelector('.modal-body');
+  
+  if (title) title.textContent = renderer.title(layer.data);
+  renderer.render(body, layer.data, { refresh });
+}
+
+function focusFirst(layer) {
+  focusFirstElement(layer.element.querySelector('.modal-container') || layer.element);
+}
+
+function dispatch(name, layer) {
+  document.dispatchEvent(new CustomEvent(`dialog:${name}`, {
+    detail: { type: layer.type, data: layer.data }
+  }));
+}
+
+/**
+ * Open a dialog of a registered type on top of the open ones
+ */
+export function openDialog(type, data) {
+  if (!types.has(type)) {
+    console.warn(`⚠️ Unknown dialog type: ${type}`);
+    return;
+  }
+  
+  const index = stack.findIndex(layer => layer.type === type);
+  
+  if (index !== -1) {
+    // Already open lower in the stack: bring it back to the top with the new data
+    closeLayersAbove(index);
+    
+    const layer = stack[index];
+    layer.data = data;
+    renderLayer(layer);
+    focusFirst(layer);
+    dispatch('open', layer);
+    return;
+  }
+  
+  const element = getDialogElement(type);
+  const layer = {
+    type,
+    data,
+    element,
+    opener: document.activeElement,
+    trap: createFocusTrap(element)
+  };
+  
+  stack.push(layer);
+  layer.element.style.zIndex = String(BASE_Z_INDEX + stack.length - 1);
+  
+  renderLayer(layer);
+  layer.element.setAttribute('aria-hidden', 'false');
+  document.body.style.overflow = 'hidden';
+  
+  // Tab stays in the dialog; the page and the layers below become inert
+  layer.trap.activate();
+  
+  // After the opening transition has started
+  setTimeout(() => {
+    if (stack.includes(layer)) focusFirst(layer);
+  }, 100);
+  
+  dispatch('open', layer);
+}
+
+function closeTopLayer() {
+  const layer = stack.pop();
+  if (!layer) return;
+  
+  types.get(layer.type).onClose?.(layer.data);
+  
+  layer.element.setAttribute('aria-hidden', 'true');
+  layer.trap.deactivate();
+  
+  if (stack.length === 0) {
+    document.body.style.overflow = '';
+  }
+  
+  // Back to whatever opened this layer; if that was re-rendered meanwhile, to the layer below
+  if (layer.opener?.isConnected) {
+    layer.opener.focus();
+  } else if (stack.length > 0) {
+    focusFirst(stack[stack.length - 1]);
+  }
+  
+  dispatch('close', layer);
+}
+
+function closeLayersAbove(index) {
+  while (stack.length > index + 1) {
+    closeTopLayer();
+  }
+}
+
+/**
+ * Close the dialog of a type together with everything stacked on it
+ * (without a type: the top dialog)
+ */
+export function closeDialog(type = stack[stack.length - 1]?.type) {
+  const index = stack.findIndex(layer => layer.type === type);
+  if (index === -1) return;
+  
+  closeLayersAbove(index);
+  closeTopLayer();
+}
+
+export function closeAllDialogs() {
+  while (stack.length > 0) {
+    closeTopLayer();
+  }
+}
+
+/**
+ * Data shown in the open dialog of a type (null if it isn't open)
+ */
+export function getDialogData(type) {
+  return stack.find(layer => layer.type === type)?.data ?? null;
+}
+
+export function isDialogOpen(type) {
+  return type ? stack.some(layer => layer.type === type) : stack.length > 0;
+}
+
+/**
+ * Titled list of links for dialog content, e.g. places on the map
+ * links: [{ href, label }]; renders nothing without links
+ */
+export function renderDialogLinks(title, links) {
+  if (!links.length) return '';
+  
+  return html`
+    <section class="dialog-links">
+      <h3 class="dialog-subtitle">${title}</h3>
+      <ul class="dialog-links-list">
+        ${links.map(({ href, label }) => html`<li><a class="dialog-link" href="${href}">${label}</a></li>`)}
+      </ul>
+    </section>
+  `;
+}
+
+function handleKeydown(e) {
+  const layer = stack[stack.length - 1];
+  if (!layer) return;
+  
+  // The content gets the keys first (e.g. the gallery: arrows, fullscreen viewer)
+  if (types.get(layer.type).handleKeydown?.(e, layer.data)) return;
+  
+  if (e.key === 'Escape') {
+    e.preventDefault();
+    closeDialog(layer.type);
+  }
+}
+
+/**
+ * Initialize dialogs (once, before registering types)
+ */
+export function initDialogs() {
+  document.addEventListener('keydown', handleKeydown);
+  
+  // Re-render open dialogs in the new language
+  document.addEventListener('i18n:change', () => {
+    stack.forEach(layer => renderLayer(layer, true));
+  });
+}
@@ -0,0 +1,120 @@
+/**
+ * Focus Trap
+ * Keeps keyboard focus inside an element (a dialog, the fullscreen gallery)
+ * and makes the rest of the page inert, so neither Tab nor a screen reader's
+ * virtual cursor reaches what is behind it.
+ *
+ *   const trap = createFocusTrap(element);
+ *   trap.activate();
+ *   trap.deactivate();
+ *
+ * Traps nest: the most recently activated one holds focus, and deactivating it
+ * gives focus handling back to the one below (close them in reverse order).
+ * Focusable elements are looked up on every Tab, so content re-rendered while
+ * the trap is active (gallery images, a language switch) is never stale.
+ */
+
+const FOCUSABLE = [
+  'a[href]',
+  'button:not([disabled])',
+  'textarea:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+// Never made inert: live regions must keep announcing while a dialog is open
+const ALWAYS_ACTIVE = '[aria-live], script, style, link';
+
+// Active traps, innermost last
+const traps = [];
+let listening = false;
+
+/**
+ * Elements inside root that Tab can reach right now (visible, not inert)
+ */
+export function getFocusableElements(root) {
+  return Array.from(root.querySelectorAll(FOCUSABLE))
+    .filter(element => !element.closest('[inert]') && element.getClientRects().length > 0);
+}
+
+export function focusFirstElement(root) {
+  getFocusableElements(root)[0]?.focus();
+}
+
+/**
+ * Make everything outside element inert: the siblings of element
+ * and of each of its ancestors up to <body>.
+ * Returns the elements changed here (ones that were already inert are left alone).
+ */
+function makeOthersInert(element) {
+  const changed = [];
+  
+  for (let node = element; node.parentElement && node !== document.body; node = node.parentElement) {
+    Array.from(node.parentElement.children).forEach(sibling => {
+      if (sibling === node || sibling.inert || sibling.matches(ALWAYS_ACTIVE)) return;
+      
+      sibling.inert = true;
+      changed.push(sibling);
+    });
+  }
+  
+  return changed;
+}
+
+function handleKeydown(e) {
+  const trap = traps[traps.length - 1];
+  if (e.key !== 'Tab' || !trap) return;
+  
+  const focusable = getFocusableElements(trap.element);
+  e.preventDefault();
+  
+  if (focusable.length === 0) return;
+  
+  const index = focusable.indexOf(document.activeElement);
+  
+  // From outside the trap (or an element that just disappeared) Tab enters at an end
+  if (index === -1) {
+    (e.shiftKey ? focusable[focusable.length - 1] : focusable[0]).focus();
+    return;
+  }
+  
+  const next = (index + (e.shiftKey ? -1 : 1) + focusable.length) % focusable.length;
+  focusable[next].focus();
+}
+
+export function createFocusTrap(element) {
+  let inertElements = [];
+  
+  const trap = {
+    element,
+    
+    isActive() {
+      return traps.includes(trap);
+    },
+    
+    activate() {
+      if (trap.isActive()) return;
+      
+      if (!listening) {
+        document.addEventListener('keydown', handleKeydown);
+        listening = true;
+      }
+      
+      inertElements = makeOthersInert(element);
+      traps.push(trap);
+    },
+    
+    deactivate() {
+      if (!trap.isActive()) return;
+      
+      traps.splice(traps.indexOf(trap), 1);
+      inertElements.forEach(other => {
+        other.inert = false;
+      });
+      inertElements = [];
+    }
+  };
+  
+  return trap;
+}
@@ -0,0 +1,212 @@
+/**
+ * Form Validation
+ * Drives a form from a field schema (rules in scripts/validation.js):
+ * inline errors linked to their fields with aria-invalid/aria-describedby,
+ * an error summary at the top of the form, and focus on submit.
+ * A new field needs markup and a schema entry, no code.
+ *
+ *   const validator = createFormValidator(form, CONTACT_SCHEMA);
+ *   const { valid, values } = await validator.validate();
+ *
+ * Markup: a control named after each schema field, with an id and a <label for>.
+ * The error element is #{id}-error (created after the control if missing);
+ * an optional .form-summary element inside the form gets the error summary.
+ */
+
+import { t } from './i18n.js';
+import { html } from './html.js';
+import { normalizeValue, validateValue } from './validation.js';
+
+function getMessage(rules, code) {
+  const key = rules.messages?.[code] || `form.errors.${code}`;
+  return t(key, { min: rules.minLength, max: rules.maxLength });
+}
+
+/**
+ * Bind a schema to a form; returns { validate, validateField, showErrors, reset, getValues }
+ */
+export function createFormValidator(form, schema) {
+  const fields = Object.keys(schema);
+  const summary = form.querySelector('.form-summary');
+  const errors = {}; // field -> code currently shown
+  const checks = {}; // field -> number of its latest check, so a slow async result can't overwrite a newer one
+  
+  const getInput = (field) => form.elements[field];
+  
+  function getLabel(field) {
+    const input = getInput(field);
+    return form.querySelector(`label[for="${input.id}"]`)?.textContent.trim() || field;
+  }
+  
+  function getErrorElement(field) {
+    return document.getElementById(`${getInput(field).id}-error`);
+  }
+  
+  // Make sure every field has an id, an error element and the ARIA links to it
+  function prepareField(field) {
+    const input = getInput(field);
+    if (!input) {
+      console.warn(`⚠️ Form field not found: ${field}`);
+      return;
+    }
+    
+    if (!input.id) input.id = field;
+    
+    let errorElement = getErrorElement(field);
+    if (!errorElement) {
+      errorElement = document.createElement('span');
+      errorElement.id = `${input.id}-error`;
+      errorElement.className = 'form-error';
+      input.after(errorElement);
+    }
+    
+    const describedBy = (input.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+    if (!describedBy.includes(errorElement.id)) {
+      input.setAttribute('aria-describedby', [...describedBy, errorElement.id].join(' '));
+    }
+    
+    if (schema[field].required) {
+      input.setAttribute('aria-required', 'true');
+    }
+  }
+  
+  function getValues() {
+    return Object.fromEntries(fields.map(field => [field, normalizeValue(getInput(field)?.value)]));
+  }
+  
+  function renderSummary() {
+    const invalid = fields.filter(field => errors[field]);
+    summary.hidden = invalid.length === 0;
+    
+    summary.innerHTML = html`
+      <h3 class="form-summary-title" id="${summary.id}-title">${t('form.summary', { count: invalid.length })}</h3>
+      <ul class="form-summary-list">
+        ${invalid.map(field => html`
+          <li>
+            <a href="#${getInput(field).id}" data-summary-field="${field}">
+              ${getLabel(field)}: ${getMessage(schema[field], errors[field])}
+            </a>
+          </li>
+        `)}
+      </ul>
+    `;
+  }
+  
+  function showError(field, code) {
+    const input = getInput(field);
+    const errorElement = getErrorElement(field);
+    if (!input || !errorElement) return;
+    
+    errors[field] = code;
+    errorElement.textContent = code ? getMessage(schema[field], code) : '';
+    input.classList.toggle('error', Boolean(code));
+    input.setAttribute('aria-invalid', String(Boolean(code)));
+    
+    // Once shown, the summary follows the fields (fixed errors drop out)
+    if (summary && !summary.hidden) renderSummary();
+  }
+  
+  /**
+   * Check one field and show the result; resolves with its error code ('' if valid)
+   */
+  async function validateField(field) {
+    const rules = schema[field];
+    const check = checks[field] = (checks[field] || 0) + 1;
+    const value = normalizeValue(getInput(field)?.value);
+    
+    let code = validateValue(rules, value);
+    
+    if (!code && rules.validate && value) {
+      try {
+        code = (await rules.validate(value, getValues())) || '';
+      } catch (error) {
+        // A failing check (e.g. offline) shouldn't block the form, the server has the final word
+        console.warn(`⚠️ Validator for ${field} failed:`, error.message);
+        code = '';
+      }
+    }
+    
+    if (check === checks[field]) showError(field, code);
+    return code;
+  }
+  
+  // Bring the visitor to the errors: the summary if there is one, otherwise the first field
+  function focusErrors() {
+    if (summary) {
+      renderSummary();
+      summary.focus();
+      return;
+    }
+    
+    getInput(fields.find(field => errors[field]))?.focus();
+  }
+  
+  /**
+   * Check every field; on errors show the summary and move focus to it.
+   * Resolves with { valid, values, errors }
+   */
+  async function validate() {
+    const codes = await Promise.all(fields.map(validateField));
+    const found = Object.fromEntries(fields.map((field, i) => [field, codes[i]]).filter(([, code]) => code));
+    const valid = Object.keys(found).length === 0;
+    
+    if (!valid) focusErrors();
+    
+    return { valid, values: getValues(), errors: found };
+  }
+  
+  /**
+   * Show errors found elsewhere (e.g. by the server); true if any belonged to this form
+   */
+  function showErrors(externalErrors = {}) {
+    const known = Object.entries(externalErrors).filter(([field]) => fields.includes(field));
+    known.forEach(([field, code]) => showError(field, code));
+    
+    if (known.length > 0) focusErrors();
+    return known.length > 0;
+  }
+  
+  function reset() {
+    if (summary) summary.hidden = true;
+    
+    fields.forEach(field => {
+      checks[field] = (checks[field] || 0) + 1;
+      showError(field, '');
+    });
+  }
+  
+  fields.forEach(field => {
+    prepareField(field);
+    
+    // Check when leaving a field, clear its error while typing
+    getInput(field)?.addEventListener('blur', () => validateField(field));
+    getInput(field)?.addEventListener('input', () => {
+      checks[field] = (checks[field] || 0) + 1;
+      if (errors[field]) showError(field, '');
+    });
+  });
+  
+  if (summary) {
+    summary.setAttribute('aria-labelledby', `${summary.id}-title`);
+    summary.tabIndex = -1;
+    
+    // Links in the summary move focus to the field, not just scroll to it
+    summary.addEventListener('click', (e) => {
+      const link = e.target.closest('[data-summary-field]');
+      if (!link) return;
+      
+      e.preventDefault();
+      getInput(link.dataset.summaryField)?.focus();
+    });
+  }
+  
+  // Re-translate visible errors and the summary
+  document.addEventListener('i18n:change', () => {
+    fields.forEach(field => {
+      if (errors[field]) showError(field, errors[field]);
+    });
+    if (summary && !summary.hidden) renderSummary();
+  });
+  
+  return { validate, validateField, showErrors, reset, getValues };
+}
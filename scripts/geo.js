@@ -0,0 +1,94 @@
+/**
+ * Geo Utilities
+ * Great-circle distances and route ordering for the itinerary
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+/**
+ * Great-circle (haversine) distance between two { lat, lng } points in km
+ */
+export function haversineDistance(a, b) {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const lat1 = toRadians(a.lat);
+  const lat2 = toRadians(b.lat);
+  
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLng / 2) ** 2;
+  
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Distances of each leg of a path (length = points.length - 1)
+ */
+export function legDistances(points) {
+  return points.slice(1).map((point, index) => haversineDistance(points[index], point));
+}
+
+/**
+ * Total length of an open path in km
+ */
+export function pathLength(points) {
+  return legDistances(points).reduce((sum, distance) => sum + distance, 0);
+}
+
+/**
+ * Order points for a short open path starting at the first point:
+ * nearest-neighbour construction followed by 2-opt improvement.
+ * Returns an array of indexes into `points`.
+ */
+export function optimizeOrder(points) {
+  if (points.length < 3) {
+    return points.map((_, index) => index);
+  }
+  
+  const distance = (i, j) => haversineDistance(points[i], points[j]);
+  
+  // Nearest neighbour from the first stop
+  const order = [0];
+  const remaining = new Set(points.map((_, index) => index).slice(1));
+  
+  while (remaining.size) {
+    const last = order[order.length - 1];
+    let nearest = null;
+    
+    remaining.forEach(index => {
+      if (nearest === null || distance(last, index) < distance(last, nearest)) {
+        nearest = index;
+      }
+    });
+    
+    order.push(nearest);
+    remaining.delete(nearest);
+  }
+  
+  // 2-opt: reverse segments while it shortens the path (start stays fixed)
+  let improved = true;
+  
+  while (improved) {
+    improved = false;
+    
+    for (let i = 1; i < order.length - 1; i++) {
+      for (let k = i + 1; k < order.length; k++) {
+        const before = distance(order[i - 1], order[i]) +
+          (k + 1 < order.length ? distance(order[k], order[k + 1]) : 0);
+        const after = distance(order[i - 1], order[k]) +
+          (k + 1 < order.length ? distance(order[i], order[k + 1]) : 0);
+        
+        if (after < before - 1e-9) {
+          const reversed = order.slice(i, k + 1).reverse();
+          order.splice(i, reversed.length, ...reversed);
+          improved = true;
+        }
+      }
+    }
+  }
+  
+  return order;
+}
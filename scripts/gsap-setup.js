@@ -1,33 +1,63 @@
 /**
  * GSAP Setup and Configuration
- * Initializes GSAP with ScrollTrigger plugin
+ * Initializes GSAP with ScrollTrigger plugin.
+ *
+ * Both come from a CDN (see the loader in index.html) and may arrive after the
+ * app has started, or not at all: gsap and ScrollTrigger stay null and hasGsap()
+ * false until initGsap() runs with the loader's verdict. Without them the page
+ * keeps its static layout (html.no-gsap, CSS transitions where it matters).
  */
 
-// Register ScrollTrigger plugin
-gsap.registerPlugin(ScrollTrigger);
+let gsap = null;
+let ScrollTrigger = null;
+let gsapLoaded = false;
 
-// Set GSAP defaults
-gsap.defaults({
-  ease: 'power2.out',
-  duration: 0.8
-});
+// True when GSAP and ScrollTrigger are loaded
+export function hasGsap() {
+  return gsapLoaded;
+}
 
-// ScrollTrigger defaults
-ScrollTrigger.defaults({
-  toggleActions: 'play none none reverse',
-  markers: false // Set to true for debugging
-});
+/**
+ * Set GSAP up once the loader has settled (window.sicilyLibraries);
+ * a script that arrives after its timeout is not used
+ */
+export function initGsap() {
+  gsapLoaded = window.sicilyLibraries?.gsap === 'loaded' && Boolean(window.gsap && window.ScrollTrigger);
+  
+  if (!gsapLoaded) {
+    console.warn('⚠️ GSAP not available: animations disabled');
+    document.documentElement.classList.add('no-gsap');
+    return;
+  }
+  
+  ({ gsap, ScrollTrigger } = window);
+  
+  // Register ScrollTrigger plugin
+  gsap.registerPlugin(ScrollTrigger);
+  
+  // Set GSAP defaults
+  gsap.defaults({
+    ease: 'power2.out',
+    duration: 0.8
+  });
+  
+  // ScrollTrigger defaults
+  ScrollTrigger.defaults({
+    toggleActions: 'play none none reverse',
+    markers: false // Set to true for debugging
+  });
+}
 
-// Check for reduced motion preference
+// Check for reduced motion preference (motion.js keeps the class in sync
+// with the header toggle and the system setting)
 export function shouldReduceMotion() {
-  return (
-    window.matchMedia('(prefers-reduced-motion: reduce)').matches ||
-    document.documentElement.classList.contains('reduce-motion')
-  );
+  return document.documentElement.classList.contains('reduce-motion');
 }
 
 // Create animation only if motion is allowed
 export function createAnimation(target, vars, scrollTrigger = null) {
+  if (!gsapLoaded) return null;
+  
   if (shouldReduceMotion()) {
     // Apply end state immediately without animation
     gsap.set(target, {
@@ -45,7 +75,7 @@ export function createAnimation(target, vars, scrollTrigger = null) {
 
 // Create timeline only if motion is allowed
 export function createTimeline(vars = {}) {
-  if (shouldReduceMotion()) {
+  if (!gsapLoaded || shouldReduceMotion()) {
     return {
       to: () => {},
       from: () => {},
@@ -61,12 +91,12 @@ export function createTimeline(vars = {}) {
 
 // Refresh ScrollTrigger (useful after DOM changes)
 export function refreshScrollTrigger() {
-  ScrollTrigger.refresh();
+  if (gsapLoaded) ScrollTrigger.refresh();
 }
 
 // Kill all ScrollTrigger instances
 export function killAllScrollTriggers() {
-  ScrollTrigger.getAll().forEach(trigger => trigger.kill());
+  if (gsapLoaded) ScrollTrigger.getAll().forEach(trigger => trigger.kill());
 }
 
 export { gsap, ScrollTrigger };
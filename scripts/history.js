@@ -3,13 +3,48 @@
  * Interactive timeline with period selection and event slider
  */
 
-import { shouldReduceMotion } from './gsap-setup.js';
+import { gsap, hasGsap } from './gsap-setup.js';
+import { isMotionEnabled, registerMotion, trackMotion } from './motion.js';
+import { t, localize } from './i18n.js';
+import { html } from './html.js';
+import { announce } from './announcer.js';
+import { getLocations, getLocationById, highlightLocations } from './map.js';
+import { registerDialogType, openDialog, renderDialogLinks } from './dialog.js';
+import { buildHash } from './router.js';
+import { haversineDistance } from './geo.js';
+import { parseYearRange, formatYear } from './chronology.js';
+import {
+  initTimelineZoom,
+  handleTimelineKeydown,
+  zoomTimeline,
+  resetTimelineZoom,
+  ZOOM_STEP,
+  revealTimelineRange,
+  getTimelineView,
+  yearToPercent
+} from './timeline-zoom.js';
+
+// Events placed by coordinates are linked to map locations within this distance
+const NEARBY_RADIUS_KM = 20;
 
 let historyData = [];
 let currentPeriodIndex = 0;
 let currentEventIndex = 0;
 
+// Parsed { start, end } years (null when a label can't be read)
+let periodRanges = [];
+let eventRanges = [];
+
+// Axis label steps in years; the smallest that fits the width is used
+const SCALE_STEPS = [10, 25, 50, 100, 250, 500, 1000];
+const SCALE_LABEL_WIDTH = 90;
+
+const timelineWrapper = document.getElementById('timelineWrapper');
+const timelineViewport = document.getElementById('timelineViewport');
 const timelinePointsContainer = document.getElementById('timelinePoints');
+const timelineEventsContainer = document.getElementById('timelineEvents');
+const timelineScale = document.getElementById('timelineScale');
+const timelineDetails = document.getElementById('timelineDetails');
 const sliderTrack = document.getElementById('sliderTrack');
 const sliderPrevBtn = document.getElementById('sliderPrev');
 const sliderNextBtn = document.getElementById('sliderNext');
@@ -34,32 +69,78 @@ async function loadHistoryData() {
 }
 
 /**
- * Create timeline points from history data
+ * Parse period and event years into numeric ranges
+ */
+function computeChronology() {
+  eventRanges = historyData.map(period => (period.events || []).map(event => parseYearRange(event.year)));
+  
+  periodRanges = historyData.map((period, index) => {
+    const range = parseYearRange(period.years) || spanOf(eventRanges[index]);
+    if (!range) {
+      console.warn(`⚠️ Cannot place period on the timeline: ${period.id}`);
+    }
+    return range;
+  });
+}
+
+function spanOf(ranges) {
+  const known = ranges.filter(Boolean);
+  if (!known.length) return null;
+  
+  return {
+    start: Math.min(...known.map(range => range.start)),
+    end: Math.max(...known.map(range => range.end))
+  };
+}
+
+/**
+ * Overlapping periods go to separate lanes (rows) so both stay visible
+ */
+function assignLanes(ranges) {
+  const laneEnds = [];
+  const lanes = [];
+  
+  ranges
+    .map((range, index) => ({ range, index }))
+    .filter(({ range }) => range)
+    .sort((a, b) => a.range.start - b.range.start)
+    .forEach(({ range, index }) => {
+      let lane = laneEnds.findIndex(laneEnd => laneEnd <= range.start);
+      if (lane === -1) lane = laneEnds.length;
+      
+      laneEnds[lane] = range.end;
+      lanes[index] = lane;
+    });
+  
+  return { lanes, count: Math.max(laneEnds.length, 1) };
+}
+
+/**
+ * Create the proportional timeline: period bars, event ticks and the year axis
  */
 function createTimeline() {
   if (!timelinePointsContainer || !historyData.length) return;
   
   timelinePointsContainer.innerHTML = '';
+  computeChronology();
+  
+  const { lanes, count } = assignLanes(periodRanges);
+  timelineViewport?.style.setProperty('--lanes', count);
   
   historyData.forEach((period, index) => {
     const point = document.createElement('div');
     point.className = 'timeline-point';
     point.setAttribute('role', 'listitem');
     point.setAttribute('tabindex', '0');
-    point.setAttribute('aria-label', `Период: ${period.period}, ${period.years}`);
     point.dataset.periodIndex = index;
+    point.style.setProperty('--lane', lanes[index] ?? 0);
+    point.hidden = !periodRanges[index];
     
     if (index === 0) {
       point.classList.add('active');
     }
     
-    point.innerHTML = `
-      <div class="timeline-point-content">
-        <div class="timeline-period">${period.period}</div>
-        <div class="timeline-years">${period.years}</div>
-        <div class="timeline-description">${period.description}</div>
-      </div>
-    `;
+    renderTimelinePoint(point, period);
     
     // Click handler
     point.addEventListener('click', () => selectPeriod(index));
@@ -75,10 +156,145 @@ function createTimeline() {
     timelinePointsContainer.appendChild(point);
   });
   
+  createEventTicks();
+  renderTimelineDetails();
+  
+  // Zoom/pan over the whole history plus a little margin
+  const extent = spanOf(periodRanges.concat(eventRanges.flat()));
+  if (timelineViewport && extent) {
+    const margin = (extent.end - extent.start) * 0.02;
+    initTimelineZoom(timelineViewport, {
+      start: extent.start - margin,
+      end: extent.end + margin
+    }, layoutTimeline);
+  }
+  
   // Animate timeline points on scroll
   animateTimeline();
 }
 
+/**
+ * Small marks for every dated event (the slider is their accessible counterpart)
+ */
+function createEventTicks() {
+  if (!timelineEventsContainer) return;
+  
+  timelineEventsContainer.innerHTML = '';
+  
+  historyData.forEach((period, periodIndex) => {
+    (period.events || []).forEach((event, eventIndex) => {
+      if (!eventRanges[periodIndex][eventIndex]) return;
+      
+      const tick = document.createElement('span');
+      tick.className = 'timeline-event';
+      tick.dataset.periodIndex = periodIndex;
+      tick.dataset.eventIndex = eventIndex;
+      renderEventTick(tick, event);
+      
+      timelineEventsContainer.appendChild(tick);
+    });
+  });
+  
+  updateTimelineEvents();
+}
+
+function renderEventTick(tick, event) {
+  tick.title = `${localize(event.year)} — ${localize(event.title)}`;
+}
+
+/**
+ * Fill a timeline point with the period's text
+ */
+function renderTimelinePoint(point, period) {
+  const name = localize(period.period);
+  const years = localize(period.years);
+  const label = t('history.period', { period: name, years });
+  
+  point.setAttribute('aria-label', label);
+  point.title = label;
+  point.innerHTML = html`
+    <div class="timeline-point-content">
+      <div class="timeline-period">${name}</div>
+      <div class="timeline-years">${years}</div>
+    </div>
+  `;
+}
+
+/**
+ * Name, years and description of the selected period under the axis
+ */
+function renderTimelineDetails() {
+  const period = historyData[currentPeriodIndex];
+  if (!timelineDetails || !period) return;
+  
+  timelineDetails.innerHTML = html`
+    <div class="timeline-period">${localize(period.period)}</div>
+    <div class="timeline-years">${localize(period.years)}</div>
+    <div class="timeline-description">${localize(period.description)}</div>
+  `;
+}
+
+/**
+ * Position bars and ticks for the visible year range
+ */
+function layoutTimeline() {
+  const place = (element, range) => {
+    const left = yearToPercent(range.start);
+    element.style.left = `${left}%`;
+    element.style.width = `${yearToPercent(range.end) - left}%`;
+  };
+  
+  timelinePointsContainer?.querySelectorAll('.timeline-point').forEach(point => {
+    const range = periodRanges[point.dataset.periodIndex];
+    if (range) place(point, range);
+  });
+  
+  timelineEventsContainer?.querySelectorAll('.timeline-event').forEach(tick => {
+    place(tick, eventRanges[tick.dataset.periodIndex][tick.dataset.eventIndex]);
+  });
+  
+  renderScale();
+}
+
+/**
+ * Year labels along the axis, as dense as the width allows
+ */
+function renderScale() {
+  if (!timelineScale) return;
+  
+  const { start, end } = getTimelineView();
+  const maxLabels = Math.max(2, Math.floor(timelineScale.clientWidth / SCALE_LABEL_WIDTH));
+  const step = SCALE_STEPS.find(size => (end - start) / size <= maxLabels) ?? SCALE_STEPS[SCALE_STEPS.length - 1];
+  
+  const years = [];
+  for (let year = Math.ceil(start / step) * step; year <= end; year += step) {
+    years.push(year);
+  }
+  
+  timelineScale.innerHTML = html`${years.map(year => html`
+    <span class="timeline-scale-tick" style="left: ${yearToPercent(year)}%;">${formatYear(year)}</span>
+  `)}`;
+}
+
+/**
+ * Highlight the ticks of the selected period and its current event
+ */
+function updateTimelineEvents() {
+  timelineEventsContainer?.querySelectorAll('.timeline-event').forEach(tick => {
+    const inPeriod = Number(tick.dataset.periodIndex) === currentPeriodIndex;
+    tick.classList.toggle('in-period', inPeriod);
+    tick.classList.toggle('active', inPeriod && Number(tick.dataset.eventIndex) === currentEventIndex);
+  });
+}
+
+function handleEventTickClick(e) {
+  const tick = e.target.closest('.timeline-event');
+  if (!tick) return;
+  
+  goToHistoryEvent(historyData[tick.dataset.periodIndex].id, Number(tick.dataset.eventIndex));
+  announceCurrentEvent();
+}
+
 /**
  * Select a period and update slider
  */
@@ -93,7 +309,8 @@ function selectPeriod(index) {
   points.forEach((point, i) => {
     if (i === index) {
       point.classList.add('active');
-      point.focus();
+      // The viewport is positioned by the zoom, not by scrolling
+      point.focus({ preventScroll: true });
     } else {
       point.classList.remove('active');
     }
@@ -101,6 +318,16 @@ function selectPeriod(index) {
   
   // Update slider
   updateSlider();
+  renderTimelineDetails();
+  
+  const range = periodRanges[index];
+  if (range) {
+    revealTimelineRange(range.start, range.end);
+  }
+  
+  // Show the period's places on the map
+  const locationIds = getPeriodLocationIds(historyData[index]);
+  highlightLocations(locationIds.length ? locationIds : null, historyData[index].period);
   
   // Scroll to slider if needed
   const sliderWrapper = document.querySelector('.history-slider-wrapper');
@@ -121,20 +348,26 @@ function createSlider() {
   if (!period || !period.events || !period.events.length) return;
   
   period.events.forEach((event, index) => {
+    const title = localize(event.title);
+    const year = localize(event.year);
+    
     const slide = document.createElement('div');
     slide.className = 'slider-slide';
     slide.setAttribute('role', 'listitem');
-    slide.setAttribute('aria-label', `Событие: ${event.title}, ${event.year}`);
+    slide.setAttribute('aria-label', t('history.event', { title, year }));
     
     if (index === 0) {
       slide.classList.add('active');
     }
     
-    slide.innerHTML = `
+    slide.innerHTML = html`
       <div class="slider-slide-content">
-        <div class="slider-slide-year">${event.year}</div>
-        <h3 class="slider-slide-title">${event.title}</h3>
-        <p class="slider-slide-description">${event.description}</p>
+        <div class="slider-slide-year">${year}</div>
+        <h3 class="slider-slide-title">${title}</h3>
+        <p class="slider-slide-description">${localize(event.description)}</p>
+        <button type="button" class="slider-slide-more" data-event-index="${index}" aria-label="${t('dialog.moreAbout', { name: title })}">
+          ${t('dialog.more')}
+        </button>
       </div>
     `;
     
@@ -143,6 +376,23 @@ function createSlider() {
   
   updateSliderCounter();
   updateSliderButtons();
+  updateTimelineEvents();
+}
+
+/**
+ * Put the slider on the current event without animation
+ */
+function snapSlider() {
+  if (!sliderTrack) return;
+  
+  const translateX = -currentEventIndex * 100;
+  
+  // Through GSAP when it's there, so its cached position stays right
+  if (hasGsap()) {
+    gsap.set(sliderTrack, { x: `${translateX}%` });
+  } else {
+    sliderTrack.style.transform = `translateX(${translateX}%)`;
+  }
 }
 
 /**
@@ -154,21 +404,16 @@ function updateSlider() {
   if (!sliderTrack) return;
   
   const slides = sliderTrack.querySelectorAll('.slider-slide');
-  const translateX = -currentEventIndex * 100;
   
-  if (shouldReduceMotion()) {
-    sliderTrack.style.transform = `translateX(${translateX}%)`;
+  // Use GSAP for smooth animation if available
+  if (isMotionEnabled() && hasGsap()) {
+    trackMotion('slider', gsap.to(sliderTrack, {
+      x: `${-currentEventIndex * 100}%`,
+      duration: 0.5,
+      ease: 'power2.out'
+    }));
   } else {
-    // Use GSAP for smooth animation if available
-    if (typeof gsap !== 'undefined') {
-      gsap.to(sliderTrack, {
-        x: `${translateX}%`,
-        duration: 0.5,
-        ease: 'power2.out'
-      });
-    } else {
-      sliderTrack.style.transform = `translateX(${translateX}%)`;
-    }
+    snapSlider();
   }
   
   // Update active slide
@@ -182,6 +427,33 @@ function updateSlider() {
   
   updateSliderCounter();
   updateSliderButtons();
+  
+  // Keep the current event on screen when zoomed in
+  const eventRange = eventRanges[currentPeriodIndex]?.[currentEventIndex];
+  if (eventRange) {
+    revealTimelineRange(eventRange.start, eventRange.end);
+  }
+  
+  // Let other modules (router) know the visible event changed
+  document.dispatchEvent(new CustomEvent('history:change', {
+    detail: getHistoryState()
+  }));
+}
+
+/**
+ * Tell screen readers which event the slider moved to
+ * (the slide changes visually only; the counter is not a live region)
+ */
+function announceCurrentEvent() {
+  const period = historyData[currentPeriodIndex];
+  const event = period?.events?.[currentEventIndex];
+  if (!event) return;
+  
+  const position = t('history.counter', {
+    current: currentEventIndex + 1,
+    total: period.events.length
+  });
+  announce(`${position}. ${t('history.event', { title: localize(event.title), year: localize(event.year) })}`);
 }
 
 /**
@@ -198,6 +470,8 @@ function nextEvent() {
     // Move to next period
     selectPeriod(currentPeriodIndex + 1);
   }
+  
+  announceCurrentEvent();
 }
 
 /**
@@ -214,6 +488,8 @@ function prevEvent() {
     currentEventIndex = prevPeriod.events.length - 1;
     updateSlider();
   }
+  
+  announceCurrentEvent();
 }
 
 /**
@@ -226,7 +502,10 @@ function updateSliderCounter() {
   if (!period || !period.events) return;
   
   sliderCounter.textContent = `${currentEventIndex + 1} / ${period.events.length}`;
-  sliderCounter.setAttribute('aria-label', `Событие ${currentEventIndex + 1} из ${period.events.length}`);
+  sliderCounter.setAttribute('aria-label', t('history.counter', {
+    current: currentEventIndex + 1,
+    total: period.events.length
+  }));
 }
 
 /**
@@ -247,18 +526,35 @@ function updateSliderButtons() {
   sliderNextBtn.disabled = isLastEvent && isLastPeriod;
 }
 
+/**
+ * Re-render timeline and slides in the new language, keeping the selection
+ */
+function updateHistoryLanguage() {
+  timelinePointsContainer?.querySelectorAll('.timeline-point').forEach((point, index) => {
+    renderTimelinePoint(point, historyData[index]);
+  });
+  
+  timelineEventsContainer?.querySelectorAll('.timeline-event').forEach(tick => {
+    renderEventTick(tick, historyData[tick.dataset.periodIndex].events[tick.dataset.eventIndex]);
+  });
+  
+  renderTimelineDetails();
+  renderScale();
+  createSlider();
+  
+  sliderTrack?.querySelectorAll('.slider-slide').forEach((slide, index) => {
+    slide.classList.toggle('active', index === currentEventIndex);
+  });
+}
+
 /**
  * Animate timeline points on scroll
  */
 function animateTimeline() {
-  if (shouldReduceMotion() || typeof gsap === 'undefined' || typeof ScrollTrigger === 'undefined') {
-    return;
-  }
-  
   const points = timelinePointsContainer.querySelectorAll('.timeline-point');
   
-  points.forEach((point, index) => {
-    gsap.fromTo(point,
+  registerMotion('timeline', {
+    setup: () => Array.from(points, (point, index) => gsap.fromTo(point,
       {
         opacity: 0,
         y: 30
@@ -275,8 +571,134 @@ function animateTimeline() {
           toggleActions: 'play none none none'
         }
       }
-    );
+    )),
+    reset: () => gsap.set(points, { clearProps: 'opacity,transform' })
+  });
+}
+
+/**
+ * Map locations an event refers to: explicit "locations" ids
+ * plus locations near its "coords" (for places without their own marker)
+ */
+function getEventLocationIds(event) {
+  const ids = new Set(event.locations || []);
+  
+  if (event.coords) {
+    getLocations().forEach(location => {
+      if (location.coords && haversineDistance(event.coords, location.coords) <= NEARBY_RADIUS_KM) {
+        ids.add(location.id);
+      }
+    });
+  }
+  
+  return Array.from(ids);
+}
+
+/**
+ * Content of the "event" dialog: { periodId, eventIndex }
+ */
+function getDialogEvent({ periodId, eventIndex }) {
+  const period = historyData.find(item => item.id === periodId);
+  return { period, event: period?.events?.[eventIndex] };
+}
+
+function renderEventDialog(body, data) {
+  const { period, event } = getDialogEvent(data);
+  if (!event) return;
+  
+  const places = getEventLocationIds(event)
+    .map(getLocationById)
+    .filter(Boolean)
+    .map(location => ({
+      href: buildHash({ name: 'place', locationId: location.id }),
+      label: localize(location.name)
+    }));
+  
+  body.innerHTML = html`
+    <div class="dialog-content">
+      <p class="dialog-meta">
+        <span class="dialog-year">${localize(event.year)}</span>
+        <span>${t('history.period', { period: localize(period.period), years: localize(period.years) })}</span>
+      </p>
+      <p class="dialog-lead">${localize(event.description)}</p>
+      <p>${localize(period.description)}</p>
+      ${renderDialogLinks(t('dialog.places'), places)}
+    </div>
+  `;
+}
+
+function handleSlideMoreClick(e) {
+  const button = e.target.closest('.slider-slide-more');
+  if (!button) return;
+  
+  openDialog('event', {
+    periodId: historyData[currentPeriodIndex].id,
+    eventIndex: Number(button.dataset.eventIndex)
+  });
+}
+
+function getPeriodLocationIds(period) {
+  const ids = new Set();
+  
+  (period.events || []).forEach(event => {
+    getEventLocationIds(event).forEach(id => ids.add(id));
+  });
+  
+  return Array.from(ids);
+}
+
+/**
+ * Events linked to a location, in timeline order
+ * Returns [{ periodId, eventIndex, period, event }]
+ */
+export function getLocationEvents(locationId) {
+  const result = [];
+  
+  historyData.forEach(period => {
+    (period.events || []).forEach((event, eventIndex) => {
+      if (getEventLocationIds(event).includes(locationId)) {
+        result.push({ periodId: period.id, eventIndex, period, event });
+      }
+    });
   });
+  
+  return result;
+}
+
+/**
+ * Current period/event selection
+ */
+export function getHistoryState() {
+  const period = historyData[currentPeriodIndex];
+  
+  return {
+    periodId: period ? period.id : null,
+    periodIndex: currentPeriodIndex,
+    eventIndex: currentEventIndex
+  };
+}
+
+/**
+ * Show a specific event of a period (used by deep links)
+ * Returns false if the period doesn't exist
+ */
+export function goToHistoryEvent(periodId, eventIndex = 0) {
+  const periodIndex = historyData.findIndex(period => period.id === periodId);
+  if (periodIndex === -1) return false;
+  
+  const events = historyData[periodIndex].events || [];
+  const index = Math.min(Math.max(eventIndex, 0), Math.max(events.length - 1, 0));
+  
+  if (periodIndex !== currentPeriodIndex) {
+    selectPeriod(periodIndex);
+  }
+  
+  if (index !== currentEventIndex) {
+    currentEventIndex = index;
+    updateSlider();
+  }
+  
+  return true;
 }
 
 /**
@@ -290,9 +712,19 @@ export async function initHistory() {
     return;
   }
   
+  // With motion turned off mid-slide, the slider lands on its event
+  registerMotion('slider', { reset: snapSlider });
+  
   createTimeline();
   createSlider();
   
+  // Event details
+  registerDialogType('event', {
+    title: data => localize(getDialogEvent(data).event?.title) || '',
+    render: renderEventDialog
+  });
+  sliderTrack?.addEventListener('click', handleSlideMoreClick);
+  
   // Setup slider controls
   if (sliderPrevBtn) {
     sliderPrevBtn.addEventListener('click', prevEvent);
@@ -318,6 +750,29 @@ export async function initHistory() {
     }
   });
   
+  // Timeline zoom: toolbar, keyboard, event ticks
+  timelineWrapper?.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-timeline-zoom]');
+    if (!button) return;
+    
+    if (button.dataset.timelineZoom === 'in') {
+      zoomTimeline(ZOOM_STEP);
+    } else if (button.dataset.timelineZoom === 'out') {
+      zoomTimeline(1 / ZOOM_STEP);
+    } else {
+      resetTimelineZoom();
+    }
+  });
+  
+  timelineWrapper?.addEventListener('keydown', handleTimelineKeydown);
+  timelineEventsContainer?.addEventListener('click', handleEventTickClick);
+  
+  // Axis labels depend on the available width
+  window.addEventListener('resize', renderScale);
+  
+  // Language switch
+  document.addEventListener('i18n:change', updateHistoryLanguage);
+  
   // Swipe support for mobile
   let touchStartX = 0;
   let touchEndX = 0;
@@ -350,20 +805,3 @@ export async function initHistory() {
   
   console.log('✅ History timeline initialized');
 }
-
-/**
- * Toggle animations (for motion toggle)
- */
-export function toggleHistoryAnimations(enabled) {
-  const points = timelinePointsContainer?.querySelectorAll('.timeline-point');
-  if (!points) return;
-  
-  points.forEach(point => {
-    if (enabled) {
-      point.style.animation = '';
-    } else {
-      point.style.animation = 'none';
-    }
-  });
-}
-
@@ -0,0 +1,95 @@
+/**
+ * Safe HTML Templating
+ * Tagged template that escapes interpolated values and sanitises URLs
+ *
+ *   element.innerHTML = html`<h3>${location.name}</h3><img src="${url}" alt="${alt}">`;
+ *
+ * - Strings and numbers are HTML-escaped
+ * - Values placed in URL attributes (href, src, ...) are also checked against
+ *   a scheme allowlist, so "javascript:..." never reaches the DOM
+ * - Nested html`` results and arrays of them are inserted as they are
+ * - null, undefined and false render nothing
+ */
+
+const ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  '`': '&#96;'
+};
+
+// Attribute right before the interpolation, e.g. ` src="`
+const URL_ATTRIBUTE = /\s(?:href|src|action|formaction|poster|xlink:href)\s*=\s*["']?$/i;
+
+const SAFE_SCHEMES = ['http:', 'https:', 'mailto:', 'tel:'];
+const SAFE_DATA_URL = /^data:image\/(?:png|jpe?g|gif|webp|avif);base64,[a-z0-9+/]+=*$/i;
+
+// Replacement for rejected URLs (navigates nowhere, loads nothing)
+export const INVALID_URL = 'about:invalid';
+
+/**
+ * Already-escaped markup (result of html`` or unsafeHtml())
+ */
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+  
+  toString() {
+    return this.value;
+  }
+}
+
+export function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"'`]/g, char => ESCAPES[char]);
+}
+
+/**
+ * Return the URL if it's relative or uses an allowed scheme, INVALID_URL otherwise
+ */
+export function sanitizeUrl(url) {
+  const value = String(url ?? '').trim();
+  
+  // Browsers ignore whitespace and control characters inside the scheme ("java\tscript:")
+  const compact = value.replace(/[\u0000- \u007f-\u009f]/g, '');
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(compact);
+  
+  if (!scheme) return value;
+  if (SAFE_SCHEMES.includes(scheme[0].toLowerCase())) return value;
+  if (SAFE_DATA_URL.test(compact)) return value;
+  
+  console.warn(`⚠️ Blocked unsafe URL: ${value.slice(0, 50)}`);
+  return INVALID_URL;
+}
+
+function renderValue(value, isUrl) {
+  if (value === null || value === undefined || value === false) return '';
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(item => renderValue(item, isUrl)).join('');
+  
+  return escapeHtml(isUrl ? sanitizeUrl(value) : value);
+}
+
+/**
+ * Tagged template producing escaped markup
+ * (assign to innerHTML directly or convert with String() for APIs that want a string)
+ */
+export function html(strings, ...values) {
+  let result = strings[0];
+  
+  values.forEach((value, index) => {
+    result += renderValue(value, URL_ATTRIBUTE.test(strings[index])) + strings[index + 1];
+  });
+  
+  return new SafeHtml(result);
+}
+
+/**
+ * Mark trusted markup (e.g. from the message catalogues) as safe.
+ * Never use it for data from JSON files, forms or URLs.
+ */
+export function unsafeHtml(markup) {
+  return new SafeHtml(String(markup ?? ''));
+}
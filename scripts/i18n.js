@@ -0,0 +1,165 @@
+/**
+ * Internationalisation
+ * Message catalogues, localised data fields and the header language switcher
+ *
+ * UI strings live in scripts/locales/<lang>.js and are looked up by key:
+ *   t('map.popupMore')                      // "Узнать больше"
+ *   t('itinerary.summary', { count: 3 })    // "{count}" placeholders are replaced
+ *
+ * Static markup is translated through attributes:
+ *   data-i18n="key"             - textContent
+ *   data-i18n-html="key"        - innerHTML (only for trusted catalogue strings)
+ *   data-i18n-aria-label="key"  - aria-label (also placeholder, title, content)
+ *
+ * Data fields in JSON may be plain strings or objects per language:
+ *   "name": { "ru": "Сиракузы", "en": "Syracuse", "it": "Siracusa" }
+ */
+
+import { ru } from './locales/ru.js';
+import { en } from './locales/en.js';
+import { it } from './locales/it.js';
+
+export const LANGUAGES = {
+  ru: { name: 'Русский', locale: 'ru-RU', messages: ru },
+  en: { name: 'English', locale: 'en-GB', messages: en },
+  it: { name: 'Italiano', locale: 'it-IT', messages: it }
+};
+
+export const DEFAULT_LANGUAGE = 'ru';
+
+const STORAGE_KEY = 'language';
+const TRANSLATED_ATTRIBUTES = ['aria-label', 'placeholder', 'title', 'content'];
+
+let currentLanguage = DEFAULT_LANGUAGE;
+
+function lookup(messages, key) {
+  return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), messages);
+}
+
+/**
+ * Translate a message key, falling back to the default language
+ */
+export function t(key, params = {}) {
+  let message = lookup(LANGUAGES[currentLanguage].messages, key);
+  
+  if (typeof message !== 'string') {
+    message = lookup(LANGUAGES[DEFAULT_LANGUAGE].messages, key);
+  }
+  
+  if (typeof message !== 'string') {
+    console.warn(`⚠️ Missing translation: ${key}`);
+    return key;
+  }
+  
+  return message.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined ? String(params[name]) : match
+  );
+}
+
+/**
+ * Pick the current language from a localised data field
+ * (plain strings and arrays are returned as they are)
+ */
+export function localize(value) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return value;
+  }
+  
+  return value[currentLanguage] ?? value[DEFAULT_LANGUAGE] ?? Object.values(value)[0];
+}
+
+export function getLanguage() {
+  return currentLanguage;
+}
+
+// BCP 47 locale for Intl / toLocaleString
+export function getLocale() {
+  return LANGUAGES[currentLanguage].locale;
+}
+
+/**
+ * Translate static markup marked with data-i18n attributes
+ */
+export function translatePage(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = t(element.dataset.i18n);
+  });
+  
+  root.querySelectorAll('[data-i18n-html]').forEach(element => {
+    element.innerHTML = t(element.dataset.i18nHtml);
+  });
+  
+  TRANSLATED_ATTRIBUTES.forEach(attribute => {
+    root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+      element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+    });
+  });
+}
+
+/**
+ * Switch language, re-translate the page and let modules re-render
+ */
+export function setLanguage(language) {
+  if (!LANGUAGES[language] || language === currentLanguage) return;
+  
+  currentLanguage = language;
+  localStorage.setItem(STORAGE_KEY, language);
+  
+  applyLanguage();
+  
+  document.dispatchEvent(new CustomEvent('i18n:change', {
+    detail: { language }
+  }));
+  
+  console.log(`🌐 Language switched to ${language}`);
+}
+
+function applyLanguage() {
+  document.documentElement.lang = currentLanguage;
+  translatePage();
+  updateSwitcher();
+}
+
+/**
+ * Saved choice first, then the browser's preferred languages
+ */
+function detectLanguage() {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  if (LANGUAGES[saved]) return saved;
+  
+  const preferred = navigator.languages || [navigator.language];
+  for (const tag of preferred) {
+    const language = String(tag).toLowerCase().split('-')[0];
+    if (LANGUAGES[language]) return language;
+  }
+  
+  return DEFAULT_LANGUAGE;
+}
+
+function updateSwitcher() {
+  document.querySelectorAll('[data-language]').forEach(button => {
+    button.setAttribute('aria-pressed', String(button.dataset.language === currentLanguage));
+  });
+}
+
+/**
+ * Initialize i18n (call before other modules render text)
+ */
+export function initI18n() {
+  currentLanguage = detectLanguage();
+  
+  // index.html ships in the default language
+  if (currentLanguage !== DEFAULT_LANGUAGE) {
+    applyLanguage();
+  } else {
+    document.documentElement.lang = currentLanguage;
+    updateSwitcher();
+  }
+  
+  document.getElementById('languageSwitcher')?.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-language]');
+    if (button) {
+      setLanguage(button.dataset.language);
+    }
+  });
+}
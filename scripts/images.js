@@ -0,0 +1,163 @@
+/**
+ * Responsive Images
+ * <picture> markup with AVIF/WebP srcsets and a blurred placeholder (blur-up),
+ * from the manifest written by tools/build-images.mjs (data/images.json)
+ *
+ *   element.innerHTML = html`<div>${renderPicture(src, { alt, sizes: '50vw' })}</div>`;
+ *
+ * Images missing from the manifest (or before it is built) stay a plain <img>.
+ */
+
+import { html, sanitizeUrl } from './html.js';
+
+const MIME_TYPES = {
+  avif: 'image/avif',
+  webp: 'image/webp'
+};
+
+// What tools/build-images.mjs writes; anything else could break out of url('')
+const PLACEHOLDER_PATTERN = /^data:image\/[a-z+]+;base64,[A-Za-z0-9+/]+=*$/;
+
+let manifest = {};
+
+/**
+ * Load the manifest; without one every image falls back to its original file
+ */
+export async function loadImageManifest() {
+  try {
+    const response = await fetch('./data/images.json');
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    manifest = await response.json();
+  } catch (error) {
+    console.warn('⚠️ Image manifest not available, using original images:', error.message);
+    manifest = {};
+  }
+  
+  return manifest;
+}
+
+export function getImageInfo(src) {
+  return manifest[src] || null;
+}
+
+function toSrcset(variants) {
+  return variants.map(({ src, width }) => `${sanitizeUrl(src)} ${width}w`).join(', ');
+}
+
+/**
+ * Markup for an image: <picture> with sources when the manifest knows it, <img> otherwise
+ * options: alt, sizes, id, className, loading
+ */
+export function renderPicture(src, { alt = '', sizes = '100vw', id = null, className = null, loading = 'lazy' } = {}) {
+  const info = getImageInfo(src);
+  
+  const image = html`<img ${id && html`id="${id}"`} ${className && html`class="${className}"`} src="${src}" alt="${alt}" ${info && html`width="${info.width}" height="${info.height}"`} loading="${loading}" decoding="async">`;
+  
+  if (!info) return image;
+  
+  const placeholder = PLACEHOLDER_PATTERN.test(info.placeholder || '') ? info.placeholder : null;
+  
+  return html`
+    <picture class="blur-up" ${placeholder && html`style="background-image: url('${placeholder}')"`}>
+      ${Object.entries(info.sources).map(([format, variants]) => html`
+        <source type="${MIME_TYPES[format]}" srcset="${toSrcset(variants)}" sizes="${sizes}">
+      `)}
+      ${image}
+    </picture>
+  `;
+}
+
+/**
+ * Swap static <img data-responsive> elements (e.g. in index.html) for <picture> markup,
+ * keeping their alt, sizes, id and classes
+ */
+export function upgradeImages(root = document) {
+  root.querySelectorAll('img[data-responsive]').forEach(image => {
+    const src = image.getAttribute('src');
+    if (!getImageInfo(src)) return;
+    
+    image.outerHTML = String(renderPicture(src, {
+      alt: image.getAttribute('alt') || '',
+      sizes: image.getAttribute('sizes') || undefined,
+      id: image.id || null,
+      className: image.className || null,
+      loading: image.getAttribute('loading') || 'lazy'
+    }));
+  });
+}
+
+/**
+ * Build picture markup off-screen and wait until its image is downloaded and decoded,
+ * so it can be swapped in without a blank or half-drawn frame.
+ * Returns { element, ready, cancel }: ready resolves with the element and rejects
+ * if the image fails; cancel() stops the download.
+ */
+export function preparePicture(markup) {
+  const wrapper = document.createElement('div');
+  wrapper.innerHTML = String(markup).trim();
+  
+  const element = wrapper.firstElementChild;
+  const image = element.tagName === 'IMG' ? element : element.querySelector('img');
+  
+  // A lazy image never starts loading while it's outside the document
+  image.loading = 'eager';
+  
+  const ready = image.decode().then(() => {
+    if (element.classList.contains('blur-up')) {
+      element.classList.add('is-loaded');
+    }
+    return element;
+  });
+  
+  const cancel = () => {
+    // Without sources and src the browser drops the request
+    element.querySelectorAll('source').forEach(source => source.remove());
+    image.removeAttribute('src');
+  };
+  
+  return { element, ready, cancel };
+}
+
+const MAX_PRELOADED = 6;
+const preloaded = new Map();
+
+/**
+ * Start downloading an image (e.g. the next one in a gallery) so showing it later is instant
+ */
+export function preloadImage(src, options = {}) {
+  if (preloaded.has(src)) return preloaded.get(src);
+  
+  const { ready } = preparePicture(renderPicture(src, options));
+  const promise = ready.catch(() => {
+    // Let a later call try again
+    preloaded.delete(src);
+    return null;
+  });
+  preloaded.set(src, promise);
+  
+  // Keep only the most recent ones (decoded images hold memory)
+  if (preloaded.size > MAX_PRELOADED) {
+    preloaded.delete(preloaded.keys().next().value);
+  }
+  
+  return promise;
+}
+
+// The placeholder stays until the real image has loaded (or failed)
+function handleImageSettled(e) {
+  const picture = e.target.parentElement;
+  if (e.target.tagName === 'IMG' && picture?.classList.contains('blur-up')) {
+    picture.classList.add('is-loaded');
+  }
+}
+
+/**
+ * Initialize blur-up handling (once)
+ */
+export function initImages() {
+  // load and error don't bubble, so listen in the capture phase
+  document.addEventListener('load', handleImageSettled, true);
+  document.addEventListener('error', handleImageSettled, true);
+  
+  return loadImageManifest().then(() => upgradeImages());
+}
@@ -0,0 +1,97 @@
+/**
+ * Itinerary Export
+ * Builds GPX 1.1 and KML 2.2 documents from an ordered list of locations
+ */
+
+import { t, localize } from './i18n.js';
+
+const CREATOR = 'Sicily Live Map';
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * GPX with a waypoint per stop and a route connecting them
+ */
+export function toGPX(stops, name = t('itinerary.exportName')) {
+  const waypoints = stops.map(stop => `
+  <wpt lat="${stop.coords.lat}" lon="${stop.coords.lng}">
+    <name>${escapeXml(localize(stop.name))}</name>
+    <desc>${escapeXml(localize(stop.summary))}</desc>
+  </wpt>`).join('');
+  
+  const routePoints = stops.map(stop => `
+    <rtept lat="${stop.coords.lat}" lon="${stop.coords.lng}">
+      <name>${escapeXml(localize(stop.name))}</name>
+    </rtept>`).join('');
+  
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="${CREATOR}" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>${escapeXml(name)}</name>
+    <time>${new Date().toISOString()}</time>
+  </metadata>${waypoints}
+  <rte>
+    <name>${escapeXml(name)}</name>${routePoints}
+  </rte>
+</gpx>
+`;
+}
+
+/**
+ * KML with a placemark per stop and a line for the route
+ * (KML coordinates are lng,lat[,alt])
+ */
+export function toKML(stops, name = t('itinerary.exportName')) {
+  const placemarks = stops.map((stop, index) => `
+    <Placemark>
+      <name>${index + 1}. ${escapeXml(localize(stop.name))}</name>
+      <description>${escapeXml(localize(stop.summary))}</description>
+      <Point>
+        <coordinates>${stop.coords.lng},${stop.coords.lat},0</coordinates>
+      </Point>
+    </Placemark>`).join('');
+  
+  const lineCoordinates = stops
+    .map(stop => `${stop.coords.lng},${stop.coords.lat},0`)
+    .join(' ');
+  
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(name)}</name>${placemarks}
+    <Placemark>
+      <name>${escapeXml(name)}</name>
+      <LineString>
+        <tessellate>1</tessellate>
+        <coordinates>${lineCoordinates}</coordinates>
+      </LineString>
+    </Placemark>
+  </Document>
+</kml>
+`;
+}
+
+/**
+ * Trigger a file download in the browser
+ */
+export function downloadFile(content, filename, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  
+  // Give the browser a moment to start the download
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,305 @@
+/**
+ * Itinerary Builder
+ * Ordered list of stops drawn as a route on the map, with distances and GPX/KML export
+ */
+
+import { getMap, getLocationById, centerMapOnLocation } from './map.js';
+import { legDistances, pathLength, optimizeOrder } from './geo.js';
+import { toGPX, toKML, downloadFile } from './itinerary-export.js';
+import { t, localize, getLocale } from './i18n.js';
+import { html } from './html.js';
+
+const STORAGE_KEY = 'itinerary';
+
+let stops = [];
+let routeLine = null;
+
+const panel = document.getElementById('itinerary');
+
+/**
+ * Stops as location objects, skipping ids that no longer exist in the data
+ */
+export function getItineraryStops() {
+  return stops.map(getLocationById).filter(Boolean);
+}
+
+export function isInItinerary(locationId) {
+  return stops.includes(locationId);
+}
+
+export function addToItinerary(locationId) {
+  if (isInItinerary(locationId) || !getLocationById(locationId)) return;
+  
+  stops.push(locationId);
+  handleChange();
+}
+
+export function removeFromItinerary(locationId) {
+  if (!isInItinerary(locationId)) return;
+  
+  stops = stops.filter(id => id !== locationId);
+  handleChange();
+}
+
+export function toggleItineraryStop(locationId) {
+  if (isInItinerary(locationId)) {
+    removeFromItinerary(locationId);
+  } else {
+    addToItinerary(locationId);
+  }
+}
+
+/**
+ * Move a stop up (-1) or down (+1) in the route
+ */
+export function moveStop(locationId, direction) {
+  const from = stops.indexOf(locationId);
+  const to = from + direction;
+  if (from === -1 || to < 0 || to >= stops.length) return;
+  
+  [stops[from], stops[to]] = [stops[to], stops[from]];
+  handleChange();
+}
+
+export function clearItinerary() {
+  stops = [];
+  handleChange();
+}
+
+/**
+ * Reorder stops for a shorter route, keeping the first stop as the start
+ */
+export function optimizeItinerary() {
+  const locations = getItineraryStops();
+  if (locations.length < 3) return;
+  
+  const order = optimizeOrder(locations.map(location => location.coords));
+  stops = order.map(index => locations[index].id);
+  handleChange();
+}
+
+export function exportItinerary(format) {
+  const locations = getItineraryStops();
+  if (!locations.length) return;
+  
+  if (format === 'kml') {
+    downloadFile(toKML(locations), 'sicily-itinerary.kml', 'application/vnd.google-earth.kml+xml');
+  } else {
+    downloadFile(toGPX(locations), 'sicily-itinerary.gpx', 'application/gpx+xml');
+  }
+}
+
+function handleChange() {
+  saveItinerary();
+  drawRoute();
+  renderPanel();
+  syncPopupButton();
+  
+  document.dispatchEvent(new CustomEvent('itinerary:change', {
+    detail: { stops: [...stops] }
+  }));
+}
+
+function loadItinerary() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    stops = Array.isArray(saved) ? saved.filter(id => getLocationById(id)) : [];
+  } catch (error) {
+    console.warn('⚠️ Could not restore itinerary:', error);
+    stops = [];
+  }
+}
+
+function saveItinerary() {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(stops));
+}
+
+function formatDistance(km) {
+  const value = km.toLocaleString(getLocale(), { maximumFractionDigits: km < 10 ? 1 : 0 });
+  return t('itinerary.distance', { value });
+}
+
+/**
+ * Draw the route polyline and number the markers on the map
+ */
+function drawRoute() {
+  const map = getMap();
+  if (!map) return;
+  
+  if (routeLine) {
+    map.removeLayer(routeLine);
+    routeLine = null;
+  }
+  
+  const locations = getItineraryStops();
+  
+  if (locations.length > 1) {
+    routeLine = L.polyline(
+      locations.map(location => [location.coords.lat, location.coords.lng]),
+      {
+        className: 'itinerary-route',
+        color: '#E67E22',
+        weight: 4,
+        opacity: 0.85,
+        dashArray: '8 8',
+        interactive: false
+      }
+    ).addTo(map);
+  }
+  
+  updateMarkerNumbers();
+}
+
+function updateMarkerNumbers() {
+  getMap()?.eachLayer(layer => {
+    const locationId = layer.options?.locationId;
+    const element = layer.getElement?.();
+    if (!locationId || !element) return;
+    
+    const position = stops.indexOf(locationId);
+    if (position === -1) {
+      delete element.dataset.itineraryStop;
+    } else {
+      element.dataset.itineraryStop = position + 1;
+    }
+  });
+}
+
+function renderPanel() {
+  if (!panel) return;
+  
+  const locations = getItineraryStops();
+  const list = panel.querySelector('.itinerary-list');
+  const summary = panel.querySelector('.itinerary-summary');
+  const actions = panel.querySelectorAll('[data-itinerary-action]');
+  
+  panel.classList.toggle('is-empty', locations.length === 0);
+  
+  actions.forEach(button => {
+    const action = button.dataset.itineraryAction;
+    button.disabled = action === 'optimize' ? locations.length < 3 : locations.length === 0;
+  });
+  
+  if (!locations.length) {
+    list.innerHTML = '';
+    summary.textContent = t('itinerary.empty');
+    return;
+  }
+  
+  const legs = legDistances(locations.map(location => location.coords));
+  
+  list.innerHTML = locations.map((location, index) => {
+    const name = localize(location.name);
+    
+    return html`
+      <li class="itinerary-stop" data-location-id="${location.id}">
+        <span class="itinerary-stop-number" aria-hidden="true">${index + 1}</span>
+        <div class="itinerary-stop-info">
+          <button type="button" class="itinerary-stop-name" data-stop-action="show">${name}</button>
+          ${index > 0 ? html`<span class="itinerary-stop-leg">+ ${formatDistance(legs[index - 1])}</span>` : ''}
+        </div>
+        <div class="itinerary-stop-controls">
+          <button type="button" data-stop-action="up" aria-label="${t('itinerary.moveUp', { name })}" ${index === 0 ? 'disabled' : ''}>↑</button>
+          <button type="button" data-stop-action="down" aria-label="${t('itinerary.moveDown', { name })}" ${index === locations.length - 1 ? 'disabled' : ''}>↓</button>
+          <button type="button" data-stop-action="remove" aria-label="${t('itinerary.remove', { name })}">✕</button>
+        </div>
+      </li>
+    `;
+  }).join('');
+  
+  const total = pathLength(locations.map(location => location.coords));
+  summary.textContent = t('itinerary.summary', {
+    count: locations.length,
+    distance: formatDistance(total)
+  });
+}
+
+function handlePanelClick(e) {
+  const actionButton = e.target.closest('[data-itinerary-action]');
+  if (actionButton) {
+    switch (actionButton.dataset.itineraryAction) {
+      case 'optimize':
+        optimizeItinerary();
+        break;
+      case 'gpx':
+        exportItinerary('gpx');
+        break;
+      case 'kml':
+        exportItinerary('kml');
+        break;
+      case 'clear':
+        clearItinerary();
+        break;
+    }
+    return;
+  }
+  
+  const stopButton = e.target.closest('[data-stop-action]');
+  const stop = stopButton?.closest('.itinerary-stop');
+  if (!stop) return;
+  
+  const locationId = stop.dataset.locationId;
+  
+  switch (stopButton.dataset.stopAction) {
+    case 'show':
+      centerMapOnLocation(locationId);
+      break;
+    case 'up':
+      moveStop(locationId, -1);
+      break;
+    case 'down':
+      moveStop(locationId, 1);
+      break;
+    case 'remove':
+      removeFromItinerary(locationId);
+      break;
+  }
+}
+
+/**
+ * Sync the "add to route" button of the open popup
+ */
+function syncPopupButton() {
+  const button = getMap()?.getPane('popupPane').querySelector('.popup-itinerary');
+  if (!button) return;
+  
+  const added = isInItinerary(button.dataset.locationId);
+  button.textContent = added ? t('itinerary.added') : t('itinerary.add');
+  button.setAttribute('aria-pressed', String(added));
+}
+
+function handlePopupClick(e) {
+  const button = e.target.closest('.popup-itinerary');
+  if (button) {
+    toggleItineraryStop(button.dataset.locationId);
+  }
+}
+
+/**
+ * Initialize itinerary (call once locations are loaded)
+ */
+export function initItinerary() {
+  loadItinerary();
+  
+  const map = getMap();
+  if (map) {
+    map.on('popupopen', syncPopupButton);
+    map.getPane('popupPane').addEventListener('click', handlePopupClick);
+  }
+  
+  panel?.addEventListener('click', handlePanelClick);
+  
+  // Filtered markers get new DOM elements when shown again
+  document.addEventListener('map:filterchange', updateMarkerNumbers);
+  
+  // map.js re-renders popups first, then texts here are translated
+  document.addEventListener('i18n:change', () => {
+    renderPanel();
+    syncPopupButton();
+  });
+  
+  drawRoute();
+  renderPanel();
+  
+  console.log(`🧳 Itinerary initialized with ${stops.length} stops`);
+}
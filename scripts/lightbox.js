@@ -0,0 +1,387 @@
+/**
+ * Gallery Lightbox
+ * Fullscreen viewer for the modal gallery with zoom and pan:
+ * pinch, wheel and double-tap zoom, inertial drag when zoomed, keyboard (+ - 0, arrows)
+ *
+ * Uses the Fullscreen API where available and falls back to a fixed
+ * overlay (.is-lightbox) where it isn't (e.g. iPhone Safari).
+ */
+
+import { shouldReduceMotion } from './gsap-setup.js';
+import { t } from './i18n.js';
+import { createFocusTrap } from './focus-trap.js';
+
+const MIN_SCALE = 1;
+const MAX_SCALE = 5;
+const ZOOM_STEP = 1.5;
+const DOUBLE_TAP_SCALE = 2.5;
+const DOUBLE_TAP_DELAY = 300; // ms
+const DOUBLE_TAP_DISTANCE = 30; // px
+const PAN_STEP = 60; // px per arrow key press
+const FRICTION = 0.92; // velocity kept per frame of inertia
+
+let container = null;
+let listeners = null;
+let focusTrap = null;
+let zoom = { scale: 1, x: 0, y: 0 };
+
+const pointers = new Map();
+let pinch = null;
+let velocity = { x: 0, y: 0 };
+let lastMove = null;
+let pressStart = null;
+let lastTap = null;
+let inertiaFrame = null;
+
+export function isLightboxOpen() {
+  return container !== null;
+}
+
+export function isImageZoomed() {
+  return zoom.scale > MIN_SCALE;
+}
+
+function getImage() {
+  return container?.querySelector('img');
+}
+
+/**
+ * Keep the zoomed image covering its box (no empty margins when panning)
+ */
+function clampZoom() {
+  const image = getImage();
+  if (!image) return;
+  
+  const maxX = (zoom.scale - 1) * image.clientWidth / 2;
+  const maxY = (zoom.scale - 1) * image.clientHeight / 2;
+  
+  zoom.x = Math.min(Math.max(zoom.x, -maxX), maxX);
+  zoom.y = Math.min(Math.max(zoom.y, -maxY), maxY);
+}
+
+function applyZoom() {
+  const image = getImage();
+  if (!image) return;
+  
+  clampZoom();
+  image.style.transform = isImageZoomed()
+    ? `translate(${zoom.x}px, ${zoom.y}px) scale(${zoom.scale})`
+    : '';
+  container.classList.toggle('is-zoomed', isImageZoomed());
+}
+
+/**
+ * Zoom to a scale keeping the point under (clientX, clientY) in place
+ */
+function zoomTo(scale, clientX, clientY) {
+  const rect = container.getBoundingClientRect();
+  const offsetX = (clientX ?? rect.left + rect.width / 2) - (rect.left + rect.width / 2);
+  const offsetY = (clientY ?? rect.top + rect.height / 2) - (rect.top + rect.height / 2);
+  const nextScale = Math.min(Math.max(scale, MIN_SCALE), MAX_SCALE);
+  const ratio = nextScale / zoom.scale;
+  
+  zoom = {
+    scale: nextScale,
+    x: offsetX - (offsetX - zoom.x) * ratio,
+    y: offsetY - (offsetY - zoom.y) * ratio
+  };
+  
+  if (nextScale === MIN_SCALE) {
+    zoom = { scale: 1, x: 0, y: 0 };
+  }
+  
+  applyZoom();
+}
+
+export function zoomImage(factor) {
+  zoomTo(zoom.scale * factor);
+}
+
+/**
+ * Back to the whole image (also used when the image changes)
+ */
+export function resetImageZoom() {
+  stopInertia();
+  zoom = { scale: 1, x: 0, y: 0 };
+  if (container) {
+    applyZoom();
+  }
+}
+
+function panBy(dx, dy) {
+  zoom.x += dx;
+  zoom.y += dy;
+  applyZoom();
+}
+
+function stopInertia() {
+  if (inertiaFrame) {
+    cancelAnimationFrame(inertiaFrame);
+    inertiaFrame = null;
+  }
+}
+
+// Keep gliding after a flick, slowing down every frame
+function startInertia() {
+  if (shouldReduceMotion()) return;
+  
+  const step = () => {
+    velocity.x *= FRICTION;
+    velocity.y *= FRICTION;
+    
+    if (Math.hypot(velocity.x, velocity.y) < 0.5) {
+      inertiaFrame = null;
+      return;
+    }
+    
+    panBy(velocity.x, velocity.y);
+    inertiaFrame = requestAnimationFrame(step);
+  };
+  
+  inertiaFrame = requestAnimationFrame(step);
+}
+
+function pinchState() {
+  const [a, b] = Array.from(pointers.values());
+  return {
+    distance: Math.hypot(a.x - b.x, a.y - b.y),
+    x: (a.x + b.x) / 2,
+    y: (a.y + b.y) / 2
+  };
+}
+
+function handlePointerDown(e) {
+  // Buttons in the toolbar keep working as usual
+  if (e.target.closest('button')) return;
+  
+  stopInertia();
+  pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+  container.setPointerCapture(e.pointerId);
+  
+  if (pointers.size === 2) {
+    pinch = pinchState();
+  }
+  
+  velocity = { x: 0, y: 0 };
+  lastMove = { x: e.clientX, y: e.clientY, time: e.timeStamp };
+  pressStart = { x: e.clientX, y: e.clientY };
+}
+
+function handlePointerMove(e) {
+  const previous = pointers.get(e.pointerId);
+  if (!previous) return;
+  
+  pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+  
+  if (pointers.size === 2 && pinch) {
+    const next = pinchState();
+    zoomTo(zoom.scale * next.distance / pinch.distance, next.x, next.y);
+    panBy(next.x - pinch.x, next.y - pinch.y);
+    pinch = next;
+    return;
+  }
+  
+  if (pointers.size === 1 && isImageZoomed()) {
+    const dx = e.clientX - previous.x;
+    const dy = e.clientY - previous.y;
+    panBy(dx, dy);
+    
+    // Velocity in px per frame (~16 ms) for the inertia
+    const elapsed = Math.max(e.timeStamp - lastMove.time, 1);
+    velocity = { x: dx / elapsed * 16, y: dy / elapsed * 16 };
+    lastMove = { x: e.clientX, y: e.clientY, time: e.timeStamp };
+  }
+}
+
+function handlePointerUp(e) {
+  if (!pointers.has(e.pointerId)) return;
+  
+  const wasPinching = pointers.size > 1;
+  pointers.delete(e.pointerId);
+  
+  if (pointers.size < 2) {
+    pinch = null;
+  }
+  
+  if (pointers.size > 0 || wasPinching) return;
+  
+  // A flick, not a slow drag that stopped
+  if (isImageZoomed() && e.timeStamp - lastMove.time < 50) {
+    startInertia();
+  }
+  
+  handleTap(e);
+}
+
+/**
+ * Double tap (or double click) toggles between fit and zoomed in at that point
+ */
+function handleTap(e) {
+  const moved = Math.hypot(e.clientX - pressStart.x, e.clientY - pressStart.y) > DOUBLE_TAP_DISTANCE;
+  if (moved) {
+    lastTap = null;
+    return;
+  }
+  
+  const isDoubleTap = lastTap &&
+    e.timeStamp - lastTap.time < DOUBLE_TAP_DELAY &&
+    Math.hypot(e.clientX - lastTap.x, e.clientY - lastTap.y) < DOUBLE_TAP_DISTANCE;
+  
+  if (!isDoubleTap) {
+    lastTap = { x: e.clientX, y: e.clientY, time: e.timeStamp };
+    return;
+  }
+  
+  lastTap = null;
+  
+  if (isImageZoomed()) {
+    resetImageZoom();
+  } else {
+    zoomTo(DOUBLE_TAP_SCALE, e.clientX, e.clientY);
+  }
+}
+
+function handleWheel(e) {
+  e.preventDefault();
+  stopInertia();
+  
+  // Trackpad pinch arrives as ctrl+wheel with small deltas
+  const speed = e.ctrlKey ? 0.01 : 0.002;
+  zoomTo(zoom.scale * Math.exp(-e.deltaY * speed), e.clientX, e.clientY);
+}
+
+function handleToolbarClick(e) {
+  const button = e.target.closest('[data-lightbox]');
+  if (!button) return;
+  
+  switch (button.dataset.lightbox) {
+    case 'zoom-in':
+      zoomImage(ZOOM_STEP);
+      break;
+    case 'zoom-out':
+      zoomImage(1 / ZOOM_STEP);
+      break;
+    case 'reset':
+      resetImageZoom();
+      break;
+  }
+}
+
+/**
+ * Keys while the lightbox is open; returns true if the key was used
+ * (the modal handles the rest, e.g. arrows switch images when not zoomed)
+ */
+export function handleLightboxKeydown(e) {
+  if (!isLightboxOpen()) return false;
+  
+  if (e.key === '+' || e.key === '=') {
+    zoomImage(ZOOM_STEP);
+  } else if (e.key === '-' || e.key === '_') {
+    zoomImage(1 / ZOOM_STEP);
+  } else if (e.key === '0') {
+    resetImageZoom();
+  } else if (e.key === 'Escape') {
+    closeLightbox();
+  } else if (isImageZoomed() && e.key.startsWith('Arrow')) {
+    const dx = { ArrowLeft: PAN_STEP, ArrowRight: -PAN_STEP }[e.key] || 0;
+    const dy = { ArrowUp: PAN_STEP, ArrowDown: -PAN_STEP }[e.key] || 0;
+    panBy(dx, dy);
+  } else {
+    return false;
+  }
+  
+  e.preventDefault();
+  return true;
+}
+
+function updateToggleButton() {
+  const button = document.querySelector('[data-lightbox="toggle"]');
+  if (!button) return;
+  
+  const open = isLightboxOpen();
+  button.setAttribute('aria-pressed', String(open));
+  button.setAttribute('aria-label', open ? t('modal.exitFullscreen') : t('modal.fullscreen'));
+}
+
+/**
+ * Show a gallery block (.gallery-main / .gallery-single) fullscreen
+ */
+export function openLightbox(element) {
+  if (!element || isLightboxOpen()) return;
+  
+  container = element;
+  container.classList.add('is-fullscreen');
+  
+  listeners = new AbortController();
+  const options = { signal: listeners.signal };
+  container.addEventListener('pointerdown', handlePointerDown, options);
+  container.addEventListener('pointermove', handlePointerMove, options);
+  container.addEventListener('pointerup', handlePointerUp, options);
+  container.addEventListener('pointercancel', handlePointerUp, options);
+  container.addEventListener('wheel', handleWheel, { ...options, passive: false });
+  container.addEventListener('click', handleToolbarClick, options);
+  
+  // Only the lightbox is visible: keep focus inside it
+  focusTrap = createFocusTrap(container);
+  focusTrap.activate();
+  
+  if (document.fullscreenEnabled && container.requestFullscreen) {
+    container.requestFullscreen().catch(() => {
+      container?.classList.add('is-lightbox');
+    });
+  } else {
+    container.classList.add('is-lightbox');
+  }
+  
+  updateToggleButton();
+}
+
+export function closeLightbox() {
+  if (!isLightboxOpen()) return;
+  
+  resetImageZoom();
+  listeners.abort();
+  pointers.clear();
+  pinch = null;
+  
+  focusTrap.deactivate();
+  focusTrap = null;
+  
+  container.classList.remove('is-fullscreen', 'is-lightbox', 'is-zoomed');
+  container = null;
+  
+  if (document.fullscreenElement) {
+    document.exitFullscreen().catch(() => {});
+  }
+  
+  updateToggleButton();
+}
+
+export function toggleLightbox(element) {
+  if (isLightboxOpen()) {
+    closeLightbox();
+  } else {
+    openLightbox(element);
+  }
+}
+
+/**
+ * Initialize lightbox (once)
+ */
+export function initLightbox() {
+  // Esc in native fullscreen exits without a keydown event reaching us
+  document.addEventListener('fullscreenchange', () => {
+    if (!document.fullscreenElement && isLightboxOpen()) {
+      closeLightbox();
+    }
+  });
+  
+  // Fit limits depend on the image size
+  window.addEventListener('resize', () => {
+    if (isLightboxOpen()) {
+      applyZoom();
+    }
+  });
+  
+  document.addEventListener('i18n:change', updateToggleButton);
+}
@@ -0,0 +1,234 @@
+/**
+ * English messages
+ */
+
+export const en = {
+  meta: {
+    title: 'Sicily Live Map — An Interactive Journey',
+    description: 'A live interactive map of Sicily — discover the history, culture and beauty of the island'
+  },
+  
+  skipLink: 'Skip to main content',
+  
+  nav: {
+    label: 'Main navigation',
+    home: 'Home',
+    map: 'Map',
+    history: 'History',
+    stories: 'Stories',
+    food: 'Food',
+    culture: 'Culture',
+    contact: 'Contact'
+  },
+  
+  language: {
+    label: 'Site language'
+  },
+  
+  motion: {
+    toggle: 'Toggle animations',
+    label: 'Animations:',
+    on: 'On',
+    off: 'Off'
+  },
+  
+  hero: {
+    title: 'Sicily<br>Live Map',
+    subtitle: 'Discover an island where history breathes in every stone',
+    cta: 'Start the journey'
+  },
+  
+  map: {
+    title: 'Interactive map',
+    subtitle: 'Choose a region to learn its story',
+    label: 'Interactive map of Sicily',
+    fallback: 'The interactive map is unavailable, so here are all the places as a list.',
+    dataError: 'Failed to load location data.',
+    initError: 'Map initialisation error: {message}',
+    popupMore: 'Learn more',
+    filterTitle: 'Show on map',
+    legend: 'Map legend',
+    tilesUnavailable: 'Map tiles are unavailable. Check your network connection.',
+    tilesSwitched: 'Map switched to “{name}”',
+    highlight: 'Places of “{label}”',
+    showAll: 'Show all'
+  },
+  
+  categories: {
+    city: 'Cities',
+    ruins: 'Ancient ruins',
+    coast: 'Coast and beaches',
+    volcano: 'Volcanoes'
+  },
+  
+  search: {
+    label: 'Search for a place on the map',
+    placeholder: 'Find a town, beach or ruins…',
+    results: 'Search results',
+    empty: 'Nothing found'
+  },
+  
+  itinerary: {
+    title: 'My itinerary',
+    add: '+ Add to route',
+    added: '✓ In route',
+    optimize: 'Optimise order',
+    gpx: 'Download GPX',
+    kml: 'Download KML',
+    clear: 'Clear',
+    empty: 'Add places from a map popup or from a place card.',
+    summary: 'Stops: {count} · Total: {distance} (as the crow flies)',
+    distance: '{value} km',
+    moveUp: 'Move {name} up',
+    moveDown: 'Move {name} down',
+    remove: 'Remove {name} from the route',
+    exportName: 'Sicily itinerary'
+  },
+  
+  history: {
+    title: 'History of Sicily',
+    subtitle: 'A journey through the millennia',
+    timeline: 'Historical timeline',
+    slider: 'Historical events slider',
+    controls: 'Slider controls',
+    prev: 'Previous event',
+    next: 'Next event',
+    period: 'Period: {period}, {years}',
+    event: 'Event: {title}, {year}',
+    counter: 'Event {current} of {total}',
+    yearBC: '{year} BC',
+    eraStart: 'AD',
+    zoom: 'Timeline zoom',
+    zoomIn: 'Zoom in',
+    zoomOut: 'Zoom out',
+    zoomReset: 'Whole history',
+    zoomHint: 'Zoom with the wheel, a pinch or +/−; scroll by dragging or Shift+←/→'
+  },
+  
+  stories: {
+    title: 'Regional stories',
+    subtitle: 'Every corner of the island keeps its own legend'
+  },
+  
+  food: {
+    title: 'Food',
+    subtitle: 'Flavours you will never forget'
+  },
+  
+  culture: {
+    title: 'Culture',
+    subtitle: 'Traditions born over millennia',
+    heritageTitle: 'A legacy of peoples',
+    heritage: 'Sicily is a unique cultural melting pot where Greek philosophy, Roman law, Arab science, Norman architecture and Spanish passion intertwine. Every era has left an indelible mark on the island’s language, art and traditions.',
+    festivalsTitle: 'Feasts and festivals',
+    festivals: 'From the Holy Week mysteries to lively summer sagre, Sicilian festivals are full of theatre and sincere faith. They bring generations together and keep a living link with the past.'
+  },
+  
+  contact: {
+    title: 'Get in touch',
+    subtitle: 'Ask a question or share your own Sicilian story',
+    name: 'Your name',
+    email: 'Email',
+    message: 'Message',
+    submit: 'Send message',
+    sending: 'Sending…',
+    success: '✅ Thank you! Your message has been sent.',
+    queued: '📮 You are offline: the message is saved and will be sent once you are back online.',
+    errors: {
+      nameShort: 'Name must be at least 2 characters',
+      messageShort: 'Message must be at least 10 characters',
+      send: 'The message could not be sent. Please try again a little later.',
+      network: 'Can’t reach the server. Check your connection and try again.',
+      rateLimited: 'Too many messages in a row. Please try again in a few minutes.'
+    },
+    outbox: {
+      title: 'Waiting to be sent',
+      cancel: 'Cancel',
+      cancelLabel: 'Cancel message “{message}”',
+      offline: 'waiting for a connection',
+      retry: 'next attempt {time}',
+      rejected: 'the server did not accept this message',
+      sent: '✅ Your saved messages have been sent.',
+      cancelled: 'Message removed from the queue'
+    }
+  },
+  
+  form: {
+    summary: 'The form was not sent. Fix the errors: {count}',
+    errors: {
+      required: 'This field is required',
+      minLength: 'Too short: at least {min} characters',
+      maxLength: 'Too long: at most {max} characters',
+      pattern: 'Check the format',
+      email: 'Enter a valid email address'
+    }
+  },
+  
+  footer: {
+    copyright: '© 2025 Sicily Live Map. Created for a design competition.',
+    tech: 'Made with ❤️ using HTML, CSS, JavaScript and GSAP'
+  },
+  
+  cards: {
+    showOnMap: 'Show on map',
+    showOnMapLabel: 'Show on map: {name}',
+    loadError: 'This section could not be loaded. Reload the page to try again.'
+  },
+  
+  dialog: {
+    more: 'Learn more',
+    moreAbout: 'Learn more: {name}',
+    places: 'Places on the map',
+    whereToTry: 'Where to try it',
+    whereToSee: 'Where to see it'
+  },
+  
+  modal: {
+    close: 'Close',
+    addToItinerary: '+ Add to itinerary',
+    inItinerary: '✓ In itinerary',
+    galleryEmpty: '📷 Images coming soon',
+    prevImage: 'Previous image',
+    nextImage: 'Next image',
+    thumbnails: 'Gallery thumbnails',
+    goToImage: 'Go to image {number}',
+    imageAlt: '{name}, photo {number}',
+    imageStatus: 'Image {number} of {total}',
+    photoBy: 'Photo: {author}',
+    photoSource: 'Source',
+    imageError: 'The image could not be loaded',
+    retry: 'Try again',
+    fullscreen: 'View fullscreen',
+    exitFullscreen: 'Exit fullscreen',
+    zoomIn: 'Zoom in',
+    zoomOut: 'Zoom out',
+    zoomReset: 'Fit to screen',
+    historyTitle: 'History of this place'
+  },
+  
+  share: {
+    button: 'Share',
+    native: 'Send…',
+    link: 'Link to this place',
+    copy: 'Copy link',
+    copied: '✓ Link copied',
+    copyFailed: 'Couldn’t copy; the link is selected, copy it by hand',
+    qrLabel: 'QR code linking to {name}',
+    qrHint: 'Point a phone camera here to open this place on the map',
+    downloadPng: 'Download QR (PNG)',
+    downloadSvg: 'Download QR (SVG)'
+  },
+  
+  pwa: {
+    updateAvailable: 'A new version of the site is available',
+    reload: 'Reload',
+    close: 'Close'
+  },
+  
+  libraries: {
+    map: 'The interactive map could not be loaded, showing a list of places instead.',
+    animations: 'Animations could not be loaded, the page works without them.',
+    retry: 'Retry',
+    close: 'Close'
+  }
+};
@@ -0,0 +1,234 @@
+/**
+ * Italian messages
+ */
+
+export const it = {
+  meta: {
+    title: 'Mappa viva della Sicilia — Un viaggio interattivo',
+    description: 'Una mappa interattiva della Sicilia — scopri la storia, la cultura e la bellezza dell’isola'
+  },
+  
+  skipLink: 'Vai al contenuto principale',
+  
+  nav: {
+    label: 'Navigazione principale',
+    home: 'Pagina iniziale',
+    map: 'Mappa',
+    history: 'Storia',
+    stories: 'Racconti',
+    food: 'Gastronomia',
+    culture: 'Cultura',
+    contact: 'Contatti'
+  },
+  
+  language: {
+    label: 'Lingua del sito'
+  },
+  
+  motion: {
+    toggle: 'Attiva o disattiva le animazioni',
+    label: 'Animazioni:',
+    on: 'Sì',
+    off: 'No'
+  },
+  
+  hero: {
+    title: 'Mappa viva<br>della Sicilia',
+    subtitle: 'Scopri un’isola dove la storia respira in ogni pietra',
+    cta: 'Inizia il viaggio'
+  },
+  
+  map: {
+    title: 'Mappa interattiva',
+    subtitle: 'Scegli una zona per scoprirne la storia',
+    label: 'Mappa interattiva della Sicilia',
+    fallback: 'La mappa interattiva non è disponibile: ecco tutti i luoghi in un elenco.',
+    dataError: 'Errore nel caricamento dei luoghi.',
+    initError: 'Errore di inizializzazione della mappa: {message}',
+    popupMore: 'Scopri di più',
+    filterTitle: 'Cosa mostrare',
+    legend: 'Legenda della mappa',
+    tilesUnavailable: 'Le tessere della mappa non sono disponibili. Controlla la connessione.',
+    tilesSwitched: 'Mappa passata a «{name}»',
+    highlight: 'Luoghi del periodo «{label}»',
+    showAll: 'Mostra tutti'
+  },
+  
+  categories: {
+    city: 'Città',
+    ruins: 'Rovine antiche',
+    coast: 'Coste e spiagge',
+    volcano: 'Vulcani'
+  },
+  
+  search: {
+    label: 'Cerca un luogo sulla mappa',
+    placeholder: 'Trova una città, una spiaggia o delle rovine…',
+    results: 'Risultati della ricerca',
+    empty: 'Nessun risultato'
+  },
+  
+  itinerary: {
+    title: 'Il mio itinerario',
+    add: '+ All’itinerario',
+    added: '✓ Nell’itinerario',
+    optimize: 'Ottimizza l’ordine',
+    gpx: 'Scarica GPX',
+    kml: 'Scarica KML',
+    clear: 'Svuota',
+    empty: 'Aggiungi luoghi dal popup sulla mappa o dalla scheda di un luogo.',
+    summary: 'Tappe: {count} · Totale: {distance} (in linea d’aria)',
+    distance: '{value} km',
+    moveUp: 'Sposta {name} su',
+    moveDown: 'Sposta {name} giù',
+    remove: 'Rimuovi {name} dall’itinerario',
+    exportName: 'Itinerario in Sicilia'
+  },
+  
+  history: {
+    title: 'Storia della Sicilia',
+    subtitle: 'Un viaggio attraverso i millenni',
+    timeline: 'Linea del tempo',
+    slider: 'Cursore degli eventi storici',
+    controls: 'Controlli del cursore',
+    prev: 'Evento precedente',
+    next: 'Evento successivo',
+    period: 'Periodo: {period}, {years}',
+    event: 'Evento: {title}, {year}',
+    counter: 'Evento {current} di {total}',
+    yearBC: '{year} a.C.',
+    eraStart: 'd.C.',
+    zoom: 'Zoom della linea del tempo',
+    zoomIn: 'Ingrandisci',
+    zoomOut: 'Riduci',
+    zoomReset: 'Tutta la storia',
+    zoomHint: 'Zoom con la rotellina, il pizzico o +/−; scorri trascinando o con Maiusc+←/→'
+  },
+  
+  stories: {
+    title: 'Racconti delle regioni',
+    subtitle: 'Ogni angolo dell’isola custodisce la sua leggenda'
+  },
+  
+  food: {
+    title: 'Gastronomia',
+    subtitle: 'Sapori impossibili da dimenticare'
+  },
+  
+  culture: {
+    title: 'Cultura',
+    subtitle: 'Tradizioni nate nei millenni',
+    heritageTitle: 'L’eredità dei popoli',
+    heritage: 'La Sicilia è un crogiolo culturale unico, dove si intrecciano la filosofia greca, il diritto romano, la scienza araba, l’architettura normanna e la passione spagnola. Ogni epoca ha lasciato un segno indelebile nella lingua, nell’arte e nelle tradizioni dell’isola.',
+    festivalsTitle: 'Feste e festival',
+    festivals: 'Dai misteri della Settimana Santa alle vivaci sagre estive, le feste siciliane sono piene di teatralità e di fede sincera. Uniscono le generazioni e mantengono vivo il legame con il passato.'
+  },
+  
+  contact: {
+    title: 'Contattaci',
+    subtitle: 'Fai una domanda o condividi la tua storia siciliana',
+    name: 'Il tuo nome',
+    email: 'Email',
+    message: 'Messaggio',
+    submit: 'Invia messaggio',
+    sending: 'Invio in corso…',
+    success: '✅ Grazie! Il tuo messaggio è stato inviato.',
+    queued: '📮 Sei offline: il messaggio è salvato e verrà inviato appena torna la connessione.',
+    errors: {
+      nameShort: 'Il nome deve contenere almeno 2 caratteri',
+      messageShort: 'Il messaggio deve contenere almeno 10 caratteri',
+      send: 'Impossibile inviare il messaggio. Riprova tra poco.',
+      network: 'Server non raggiungibile. Controlla la connessione e riprova.',
+      rateLimited: 'Troppi messaggi di seguito. Riprova tra qualche minuto.'
+    },
+    outbox: {
+      title: 'In attesa di invio',
+      cancel: 'Annulla',
+      cancelLabel: 'Annulla il messaggio «{message}»',
+      offline: 'in attesa di connessione',
+      retry: 'prossimo tentativo {time}',
+      rejected: 'il server non ha accettato il messaggio',
+      sent: '✅ I messaggi salvati sono stati inviati.',
+      cancelled: 'Messaggio rimosso dalla coda'
+    }
+  },
+  
+  form: {
+    summary: 'Il modulo non è stato inviato. Correggi gli errori: {count}',
+    errors: {
+      required: 'Questo campo è obbligatorio',
+      minLength: 'Troppo corto: almeno {min} caratteri',
+      maxLength: 'Troppo lungo: al massimo {max} caratteri',
+      pattern: 'Controlla il formato',
+      email: 'Inserisci un indirizzo email valido'
+    }
+  },
+  
+  footer: {
+    copyright: '© 2025 Mappa viva della Sicilia. Progetto realizzato per un concorso di design.',
+    tech: 'Creato con ❤️ usando HTML, CSS, JavaScript e GSAP'
+  },
+  
+  cards: {
+    showOnMap: 'Mostra sulla mappa',
+    showOnMapLabel: 'Mostra sulla mappa: {name}',
+    loadError: 'Impossibile caricare questa sezione. Ricarica la pagina per riprovare.'
+  },
+  
+  dialog: {
+    more: 'Scopri di più',
+    moreAbout: 'Scopri di più: {name}',
+    places: 'Luoghi sulla mappa',
+    whereToTry: 'Dove assaggiarlo',
+    whereToSee: 'Dove vederlo'
+  },
+  
+  modal: {
+    close: 'Chiudi',
+    addToItinerary: '+ Aggiungi all’itinerario',
+    inItinerary: '✓ Nell’itinerario',
+    galleryEmpty: '📷 Le immagini arriveranno presto',
+    prevImage: 'Immagine precedente',
+    nextImage: 'Immagine successiva',
+    thumbnails: 'Miniature della galleria',
+    goToImage: 'Vai all’immagine {number}',
+    imageAlt: '{name}, foto {number}',
+    imageStatus: 'Immagine {number} di {total}',
+    photoBy: 'Foto: {author}',
+    photoSource: 'Fonte',
+    imageError: 'Impossibile caricare l’immagine',
+    retry: 'Riprova',
+    fullscreen: 'Apri a schermo intero',
+    exitFullscreen: 'Esci dallo schermo intero',
+    zoomIn: 'Ingrandisci',
+    zoomOut: 'Riduci',
+    zoomReset: 'Adatta allo schermo',
+    historyTitle: 'La storia di questo luogo'
+  },
+  
+  share: {
+    button: 'Condividi',
+    native: 'Invia…',
+    link: 'Link a questo luogo',
+    copy: 'Copia link',
+    copied: '✓ Link copiato',
+    copyFailed: 'Impossibile copiare; il link è selezionato, copialo a mano',
+    qrLabel: 'Codice QR con il link a {name}',
+    qrHint: 'Inquadra con la fotocamera del telefono per aprire questo luogo sulla mappa',
+    downloadPng: 'Scarica QR (PNG)',
+    downloadSvg: 'Scarica QR (SVG)'
+  },
+  
+  pwa: {
+    updateAvailable: 'È disponibile una nuova versione del sito',
+    reload: 'Aggiorna',
+    close: 'Chiudi'
+  },
+  
+  libraries: {
+    map: 'Impossibile caricare la mappa interattiva: al suo posto c’è l’elenco dei luoghi.',
+    animations: 'Impossibile caricare le animazioni: la pagina funziona anche senza.',
+    retry: 'Riprova',
+    close: 'Chiudi'
+  }
+};
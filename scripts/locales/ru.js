@@ -0,0 +1,234 @@
+/**
+ * Russian messages (default language, matches the markup in index.html)
+ */
+
+export const ru = {
+  meta: {
+    title: 'Живая карта Сицилии — Интерактивное путешествие',
+    description: 'Живая интерактивная карта Сицилии — откройте для себя историю, культуру и красоту острова'
+  },
+  
+  skipLink: 'Перейти к основному содержимому',
+  
+  nav: {
+    label: 'Основная навигация',
+    home: 'На главную',
+    map: 'Карта',
+    history: 'История',
+    stories: 'Истории',
+    food: 'Гастрономия',
+    culture: 'Культура',
+    contact: 'Контакты'
+  },
+  
+  language: {
+    label: 'Язык сайта'
+  },
+  
+  motion: {
+    toggle: 'Переключить анимации',
+    label: 'Анимации:',
+    on: 'Вкл',
+    off: 'Выкл'
+  },
+  
+  hero: {
+    title: 'Живая карта<br>Сицилии',
+    subtitle: 'Откройте для себя остров, где история дышит в каждом камне',
+    cta: 'Начать путешествие'
+  },
+  
+  map: {
+    title: 'Интерактивная карта',
+    subtitle: 'Выберите регион, чтобы узнать его историю',
+    label: 'Интерактивная карта Сицилии',
+    fallback: 'Интерактивная карта недоступна — вот все места списком.',
+    dataError: 'Ошибка загрузки данных локаций.',
+    initError: 'Ошибка инициализации карты: {message}',
+    popupMore: 'Узнать больше',
+    filterTitle: 'Что показать',
+    legend: 'Легенда карты',
+    tilesUnavailable: 'Тайлы карты недоступны. Проверьте подключение к сети.',
+    tilesSwitched: 'Карта переключена на «{name}»',
+    highlight: 'Места периода «{label}»',
+    showAll: 'Показать все'
+  },
+  
+  categories: {
+    city: 'Города',
+    ruins: 'Античные руины',
+    coast: 'Побережье и пляжи',
+    volcano: 'Вулканы'
+  },
+  
+  search: {
+    label: 'Поиск места на карте',
+    placeholder: 'Найти город, пляж или руины…',
+    results: 'Результаты поиска',
+    empty: 'Ничего не найдено'
+  },
+  
+  itinerary: {
+    title: 'Мой маршрут',
+    add: '+ В маршрут',
+    added: '✓ В маршруте',
+    optimize: 'Оптимизировать порядок',
+    gpx: 'Скачать GPX',
+    kml: 'Скачать KML',
+    clear: 'Очистить',
+    empty: 'Добавьте места из всплывающего окна на карте или из карточки места.',
+    summary: 'Остановок: {count} · Всего: {distance} (по прямой)',
+    distance: '{value} км',
+    moveUp: 'Переместить {name} выше',
+    moveDown: 'Переместить {name} ниже',
+    remove: 'Убрать {name} из маршрута',
+    exportName: 'Маршрут по Сицилии'
+  },
+  
+  history: {
+    title: 'История Сицилии',
+    subtitle: 'Путешествие сквозь тысячелетия',
+    timeline: 'Исторический таймлайн',
+    slider: 'Слайдер исторических событий',
+    controls: 'Управление слайдером',
+    prev: 'Предыдущее событие',
+    next: 'Следующее событие',
+    period: 'Период: {period}, {years}',
+    event: 'Событие: {title}, {year}',
+    counter: 'Событие {current} из {total}',
+    yearBC: '{year} до н.э.',
+    eraStart: 'н.э.',
+    zoom: 'Масштаб таймлайна',
+    zoomIn: 'Увеличить масштаб',
+    zoomOut: 'Уменьшить масштаб',
+    zoomReset: 'Вся история',
+    zoomHint: 'Масштаб — колесо мыши, щипок или +/−; прокрутка — перетаскивание или Shift+←/→'
+  },
+  
+  stories: {
+    title: 'Истории регионов',
+    subtitle: 'Каждый уголок острова хранит свою легенду'
+  },
+  
+  food: {
+    title: 'Гастрономия',
+    subtitle: 'Вкусы, которые невозможно забыть'
+  },
+  
+  culture: {
+    title: 'Культура',
+    subtitle: 'Традиции, рожденные тысячелетиями',
+    heritageTitle: 'Наследие народов',
+    heritage: 'Сицилия — уникальный культурный тигель, где переплелись греческая философия, римское право, арабская наука, норманнская архитектура и испанская страсть. Каждая эпоха оставила неизгладимый след в языке, искусстве и традициях острова.',
+    festivalsTitle: 'Праздники и фестивали',
+    festivals: 'От мистерий Страстной недели до шумных летних сагр — сицилийские праздники полны театральности и искренней веры. Они объединяют поколения и сохраняют живую связь с прошлым.'
+  },
+  
+  contact: {
+    title: 'Свяжитесь с нами',
+    subtitle: 'Задайте вопрос или поделитесь своей историей Сицилии',
+    name: 'Ваше имя',
+    email: 'Email',
+    message: 'Сообщение',
+    submit: 'Отправить сообщение',
+    sending: 'Отправляем…',
+    success: '✅ Спасибо! Ваше сообщение успешно отправлено.',
+    queued: '📮 Нет связи: сообщение сохранено и уйдет, как только появится интернет.',
+    errors: {
+      nameShort: 'Имя должно содержать минимум 2 символа',
+      messageShort: 'Сообщение должно содержать минимум 10 символов',
+      send: 'Не удалось отправить сообщение. Попробуйте еще раз чуть позже.',
+      network: 'Нет связи с сервером. Проверьте подключение и попробуйте еще раз.',
+      rateLimited: 'Слишком много сообщений подряд. Попробуйте через несколько минут.'
+    },
+    outbox: {
+      title: 'Ждут отправки',
+      cancel: 'Отменить',
+      cancelLabel: 'Отменить сообщение «{message}»',
+      offline: 'ждет подключения',
+      retry: 'следующая попытка {time}',
+      rejected: 'сервер не принял сообщение',
+      sent: '✅ Сохраненные сообщения отправлены.',
+      cancelled: 'Сообщение удалено из очереди'
+    }
+  },
+  
+  form: {
+    summary: 'Форма не отправлена. Исправьте ошибки: {count}',
+    errors: {
+      required: 'Это поле обязательно для заполнения',
+      minLength: 'Слишком коротко: нужно не меньше {min} симв.',
+      maxLength: 'Слишком длинно: не больше {max} симв.',
+      pattern: 'Проверьте формат',
+      email: 'Введите корректный email адрес'
+    }
+  },
+  
+  footer: {
+    copyright: '© 2025 Живая карта Сицилии. Проект создан для дизайнерского конкурса.',
+    tech: 'Создано с ❤️ используя HTML, CSS, JavaScript и GSAP'
+  },
+  
+  cards: {
+    showOnMap: 'Показать на карте',
+    showOnMapLabel: 'Показать на карте: {name}',
+    loadError: 'Не удалось загрузить этот раздел. Обновите страницу, чтобы попробовать снова.'
+  },
+  
+  dialog: {
+    more: 'Подробнее',
+    moreAbout: 'Подробнее: {name}',
+    places: 'Места на карте',
+    whereToTry: 'Где попробовать',
+    whereToSee: 'Где увидеть'
+  },
+  
+  modal: {
+    close: 'Закрыть',
+    addToItinerary: '+ Добавить в маршрут',
+    inItinerary: '✓ В маршруте',
+    galleryEmpty: '📷 Изображения скоро появятся',
+    prevImage: 'Предыдущее изображение',
+    nextImage: 'Следующее изображение',
+    thumbnails: 'Миниатюры галереи',
+    goToImage: 'Перейти к изображению {number}',
+    imageAlt: '{name}, фото {number}',
+    imageStatus: 'Изображение {number} из {total}',
+    photoBy: 'Фото: {author}',
+    photoSource: 'Источник',
+    imageError: 'Не удалось загрузить изображение',
+    retry: 'Повторить',
+    fullscreen: 'Открыть во весь экран',
+    exitFullscreen: 'Выйти из полноэкранного режима',
+    zoomIn: 'Увеличить',
+    zoomOut: 'Уменьшить',
+    zoomReset: 'Показать целиком',
+    historyTitle: 'История этого места'
+  },
+  
+  share: {
+    button: 'Поделиться',
+    native: 'Отправить…',
+    link: 'Ссылка на место',
+    copy: 'Копировать ссылку',
+    copied: '✓ Ссылка скопирована',
+    copyFailed: 'Не удалось скопировать, ссылка выделена — скопируйте ее вручную',
+    qrLabel: 'QR-код ссылки на место «{name}»',
+    qrHint: 'Наведите камеру телефона, чтобы открыть это место на карте',
+    downloadPng: 'Скачать QR (PNG)',
+    downloadSvg: 'Скачать QR (SVG)'
+  },
+  
+  pwa: {
+    updateAvailable: 'Доступна новая версия сайта',
+    reload: 'Обновить',
+    close: 'Закрыть'
+  },
+  
+  libraries: {
+    map: 'Не удалось загрузить интерактивную карту, показан список мест.',
+    animations: 'Не удалось загрузить анимации, страница работает без них.',
+    retry: 'Повторить',
+    close: 'Закрыть'
+  }
+};
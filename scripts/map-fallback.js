@@ -0,0 +1,152 @@
+/**
+ * Fallback Map
+ * Stands in for the Leaflet map when the library didn't load (blocked CDN,
+ * loader timeout): the SVG map with its pins (svg-map.js) over a list of every
+ * place by category, each opening its location dialog. map.js routes
+ * highlightLocations() and centerMapOnLocation() here, so search, history and
+ * "Show on map" keep pointing places out.
+ *
+ *   const fallback = createFallbackMap(container, locations);
+ *   fallback.highlight(['palermo', 'cefalu'], label); // null shows all again
+ *   fallback.showLocation('palermo');
+ */
+
+import { CATEGORIES, getCategory, getCategoryLabel, getLocationCategory } from './categories.js';
+import { openDialog } from './dialog.js';
+import { createSvgMap } from './svg-map.js';
+import { t, localize } from './i18n.js';
+import { html } from './html.js';
+
+/**
+ * Render the fallback into the map container; returns { highlight, showLocation }
+ */
+export function createFallbackMap(container, locations) {
+  let highlight = null; // { ids: Set, label }
+  let currentId = null;
+  let svgMap = null;
+  
+  const getPlaceButtons = () => container.querySelectorAll('.map-fallback-place');
+  
+  function renderHighlight() {
+    const status = container.querySelector('.map-fallback-status');
+    if (!status) return;
+    
+    status.innerHTML = highlight ? html`
+      <div class="map-highlight">
+        <span class="map-highlight-text">${t('map.highlight', { label: localize(highlight.label) })}</span>
+        <button type="button" class="map-highlight-reset">${t('map.showAll')}</button>
+      </div>
+    ` : '';
+  }
+  
+  function updatePlaces() {
+    svgMap?.highlight(highlight && Array.from(highlight.ids));
+    svgMap?.setCurrent(currentId);
+    
+    getPlaceButtons().forEach(button => {
+      const id = button.dataset.locationId;
+      const highlighted = Boolean(highlight?.ids.has(id));
+      
+      button.classList.toggle('is-highlighted', highlighted);
+      button.classList.toggle('is-dimmed', Boolean(highlight) && !highlighted);
+      button.classList.toggle('is-current', id === currentId);
+    });
+  }
+  
+  // The list (and its texts); the SVG map above it stays
+  function renderList() {
+    const groups = Object.keys(CATEGORIES)
+      .map(categoryId => ({
+        categoryId,
+        places: locations.filter(location => getLocationCategory(location) === categoryId)
+      }))
+      .filter(group => group.places.length > 0);
+    
+    container.querySelector('.map-fallback-body').innerHTML = html`
+      <p class="map-fallback-note">${t('map.fallback')}</p>
+      <div class="map-fallback-status" role="status"></div>
+      ${groups.map(({ categoryId, places }) => html`
+        <section class="map-fallback-group">
+          <h3 class="map-fallback-title">
+            <span aria-hidden="true">${getCategory(categoryId).icon}</span> ${getCategoryLabel(categoryId)}
+          </h3>
+          <ul class="map-fallback-list">
+            ${places.map(location => html`
+              <li>
+                <button type="button" class="map-fallback-place" data-location-id="${location.id}" style="--category-color: ${getCategory(categoryId).color}">
+                  ${localize(location.name)}
+                </button>
+              </li>
+            `)}
+          </ul>
+        </section>
+      `)}
+    `;
+    
+    renderHighlight();
+    updatePlaces();
+  }
+  
+  function selectLocation(location) {
+    currentId = location.id;
+    updatePlaces();
+    openDialog('location', location);
+  }
+  
+  /**
+   * Emphasise a group of places and dim the rest; null shows all normally
+   */
+  function setHighlight(locationIds, label = '') {
+    highlight = locationIds ? { ids: new Set(locationIds), label } : null;
+    renderHighlight();
+    updatePlaces();
+  }
+  
+  /**
+   * Mark one place and scroll it into view within the list
+   */
+  function showLocation(locationId) {
+    currentId = locationId;
+    updatePlaces();
+    
+    container.querySelector(`[data-location-id="${CSS.escape(locationId)}"]`)?.scrollIntoView({ block: 'nearest' });
+  }
+  
+  container.addEventListener('click', (e) => {
+    if (e.target.closest('.map-highlight-reset')) {
+      setHighlight(null);
+      getPlaceButtons()[0]?.focus(); // the reset button is gone
+      return;
+    }
+    
+    const button = e.target.closest('.map-fallback-place');
+    const location = button && locations.find(item => item.id === button.dataset.locationId);
+    if (location) selectLocation(location);
+  });
+  
+  document.addEventListener('i18n:change', () => {
+    svgMap?.update();
+    renderList();
+  });
+  
+  // "Show on map" moves focus to the map container
+  container.tabIndex = -1;
+  container.classList.add('is-fallback');
+  container.innerHTML = html`
+    <div class="map-fallback">
+      <div class="map-fallback-map"></div>
+      <div class="map-fallback-body"></div>
+    </div>
+  `;
+  renderList();
+  
+  // The list works on its own if the SVG can't be loaded
+  createSvgMap(container.querySelector('.map-fallback-map'), locations, { onSelect: selectLocation })
+    .then(map => {
+      svgMap = map;
+      updatePlaces();
+    })
+    .catch(error => console.warn('⚠️ SVG map not available:', error.message));
+  
+  return { highlight: setHighlight, showLocation };
+}
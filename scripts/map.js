@@ -3,17 +3,44 @@
  * Handles map initialization, markers, popups, and interactions
  */
 
+import { CATEGORIES, getCategory, getCategoryLabel, getLocationCategory } from './categories.js';
+import { initTileLayers } from './tiles.js';
+import { createFallbackMap } from './map-fallback.js';
+import { addSvgOverlay } from './svg-map.js';
+import { t, localize } from './i18n.js';
+import { html } from './html.js';
+import { openDialog } from './dialog.js';
+import { gsap } from './gsap-setup.js';
+import { registerMotion } from './motion.js';
+
 let map = null;
 let locationsData = [];
 let markers = [];
+let filterControl = null;
+let legendControl = null;
+let highlightControl = null;
+let highlight = null;
+let fallbackMap = null; // list of places when Leaflet is missing (map-fallback.js)
+let activeCategories = new Set(Object.keys(CATEGORIES));
+
+/**
+ * Leaflet as the loader in index.html reported it: a script that arrives after
+ * its timeout is still attached, but the visitor was already told the map failed
+ */
+export function hasLeaflet() {
+  return window.sicilyLibraries?.leaflet === 'loaded';
+}
 
-// Custom icon for markers
-function createCustomIcon(color = '#E67E22') {
+// Custom icon for markers (also used by the stories tour map)
+export function createCustomIcon(categoryId) {
+  const category = getCategory(categoryId);
+  
   return L.divIcon({
-    className: 'custom-marker',
+    className: `custom-marker custom-marker--${categoryId}`,
     html: `
-      <div class="marker-pin" style="background-color: ${color};">
-        <div class="marker-pulse"></div>
+      <div class="marker-pin" style="background-color: ${category.color};">
+        <span class="marker-glyph" aria-hidden="true">${category.icon}</span>
+        <div class="marker-pulse" style="background-color: ${category.color};"></div>
       </div>
     `,
     iconSize: [24, 24],
@@ -23,19 +50,7 @@ function createCustomIcon(color = '#E67E22') {
 }
 
 export async function initMap() {
-  // Check if Leaflet is loaded
-  if (typeof L === 'undefined') {
-    console.error('❌ Leaflet library is not loaded. Please ensure Leaflet script is included before app.js');
-    const mapContainer = document.getElementById('sicilyMap');
-    if (mapContainer) {
-      mapContainer.innerHTML = '<div style="padding: 2rem; text-align: center; color: #e74c3c;">Ошибка загрузки карты. Проверьте консоль браузера.</div>';
-    }
-    return;
-  }
-  
-  console.log('✅ Leaflet loaded successfully');
-  
-  // Load locations data
+  // Load locations data (search, history and the itinerary need it even without Leaflet)
   try {
     const response = await fetch('./data/locations.json');
     if (!response.ok) {
@@ -47,7 +62,7 @@ export async function initMap() {
     console.error('❌ Failed to load locations data:', error);
     const mapContainer = document.getElementById('sicilyMap');
     if (mapContainer) {
-      mapContainer.innerHTML = '<div style="padding: 2rem; text-align: center; color: #e74c3c;">Ошибка загрузки данных локаций.</div>';
+      mapContainer.innerHTML = html`<div style="padding: 2rem; text-align: center; color: #e74c3c;">${t('map.dataError')}</div>`;
     }
     return;
   }
@@ -59,6 +74,15 @@ export async function initMap() {
     return;
   }
   
+  // Blocked CDN or loader timeout: list the places instead
+  if (!hasLeaflet()) {
+    console.warn('⚠️ Leaflet not available: showing the fallback map');
+    fallbackMap = createFallbackMap(mapContainer, locationsData);
+    return;
+  }
+  
+  console.log('✅ Leaflet loaded successfully');
+  
   // Ensure container has height
   if (!mapContainer.style.height && !mapContainer.offsetHeight) {
     mapContainer.style.height = '600px';
@@ -87,16 +111,8 @@ export async function initMap() {
     
     console.log('✅ Map instance created');
     
-    // Add OpenStreetMap tile layer
-    const osmLayer = L.tileLayer('https://tile.openstreetmap.org/{z}/{x}/{y}.png', {
-      maxZoom: 19,
-      attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
-      tileSize: 256,
-      zoomOffset: 0
-    });
-    
-    osmLayer.addTo(map);
-    console.log('✅ OSM tile layer added');
+    // Add base tile layers (see tile-config.js)
+    initTileLayers(map);
     
     // Wait a bit for tiles to start loading
     map.whenReady(() => {
@@ -105,16 +121,26 @@ export async function initMap() {
     
   } catch (error) {
     console.error('❌ Error initializing map:', error);
-    mapContainer.innerHTML = `<div style="padding: 2rem; text-align: center; color: #e74c3c;">Ошибка инициализации карты: ${error.message}</div>`;
+    mapContainer.innerHTML = html`<div style="padding: 2rem; text-align: center; color: #e74c3c;">${t('map.initError', { message: error.message })}</div>`;
     return;
   }
   
   // Add markers for each location
   addMarkers();
   
+  // Category filter and legend
+  addFilterControl();
+  addLegendControl();
+  
   // Fit map to show all markers
   fitMapToMarkers();
   
+  // Re-render popups and controls in the new language
+  document.addEventListener('i18n:change', updateMapLanguage);
+  
+  // No tile provider works: at least the island's outline under the markers
+  document.addEventListener('map:tilesunavailable', () => addSvgOverlay(map), { once: true });
+  
   // Add scroll-triggered animation for map appearance
   animateMapAppearance();
   
@@ -143,26 +169,26 @@ function addMarkers() {
     
     const latlng = [location.coords.lat, location.coords.lng];
     
+    const category = getLocationCategory(location);
+    
     try {
-      // Create custom icon
-      const icon = createCustomIcon('#E67E22');
+      // Create category icon
+      const icon = createCustomIcon(category);
       
       // Create marker
       const marker = L.marker(latlng, {
         icon: icon,
-        title: location.name,
-        alt: location.name,
+        title: localize(location.name),
+        alt: localize(location.name),
         keyboard: true,
-        riseOnHover: true
+        riseOnHover: true,
+        locationId: location.id,
+        category: category
       });
     
     // Add popup with location name
     marker.bindPopup(
-      `<div class="map-popup">
-        <h3>${location.name}</h3>
-        <p>${location.summary.substring(0, 100)}...</p>
-        <button class="popup-button" data-location-id="${location.id}">Узнать больше</button>
-      </div>`,
+      createPopupContent(location),
       {
         maxWidth: 300,
         className: 'custom-popup',
@@ -174,18 +200,14 @@ function addMarkers() {
     
     // Click handler - open modal
     marker.on('click', () => {
-      if (window.openModal) {
-        window.openModal(location);
-      }
+      openDialog('location', location);
     });
     
     // Keyboard handler
     marker.on('keypress', (e) => {
       if (e.originalEvent.key === 'Enter' || e.originalEvent.key === ' ') {
         e.originalEvent.preventDefault();
-        if (window.openModal) {
-          window.openModal(location);
-        }
+        openDialog('location', location);
       }
     });
     
@@ -198,32 +220,254 @@ function addMarkers() {
       marker.setZIndexOffset(0);
     });
     
-      // Add to map
-      marker.addTo(map);
+    // Icons are recreated every time the marker is re-added (filters)
+    marker.on('add', () => applyHighlight(marker));
+    
+      // Add to map (unless its category is filtered out)
+      if (activeCategories.has(category)) {
+        marker.addTo(map);
+      }
       markers.push(marker);
       addedCount++;
     } catch (error) {
-      console.error(`❌ Error adding marker for ${location.name}:`, error);
+      console.error(`❌ Error adding marker for ${location.id}:`, error);
     }
   });
   
   console.log(`✅ Added ${addedCount} markers to map`);
   
-  // Handle popup button clicks
-  map.on('popupopen', (e) => {
-    const popup = e.popup;
-    const button = popup._contentNode?.querySelector('.popup-button');
-    if (button) {
-      button.addEventListener('click', () => {
-        const locationId = button.dataset.locationId;
-        const location = locationsData.find(loc => loc.id === locationId);
-        if (location && window.openModal) {
-          map.closePopup();
-          window.openModal(location);
+  // Handle popup button clicks (delegated, popup content is replaced on language change)
+  map.getPane('popupPane').addEventListener('click', (e) => {
+    const button = e.target.closest('.popup-button:not(.popup-itinerary)');
+    if (!button) return;
+    
+    const locationId = button.dataset.locationId;
+    const location = locationsData.find(loc => loc.id === locationId);
+    if (location) {
+      map.closePopup();
+      openDialog('location', location);
+    }
+  });
+}
+
+// Leaflet only accepts plain strings or elements as popup content
+function createPopupContent(location) {
+  return String(html`<div class="map-popup">
+    <h3>${localize(location.name)}</h3>
+    <p>${localize(location.summary).substring(0, 100)}...</p>
+    <div class="popup-actions">
+      <button class="popup-button" data-location-id="${location.id}">${t('map.popupMore')}</button>
+      <button class="popup-button popup-button--secondary popup-itinerary" data-location-id="${location.id}" aria-pressed="false">${t('itinerary.add')}</button>
+    </div>
+  </div>`);
+}
+
+/**
+ * Translate marker titles, popups and the filter/legend controls
+ */
+function updateMapLanguage() {
+  markers.forEach(marker => {
+    const location = getLocationById(marker.options.locationId);
+    if (!location) return;
+    
+    const name = localize(location.name);
+    marker.options.title = name;
+    marker.options.alt = name;
+    marker.getElement()?.setAttribute('title', name);
+    marker.setPopupContent(createPopupContent(location));
+  });
+  
+  addFilterControl();
+  addLegendControl();
+  addHighlightControl();
+}
+
+/**
+ * Category filter panel with a checkbox per category
+ */
+function addFilterControl() {
+  const FilterControl = L.Control.extend({
+    options: { position: 'topright' },
+    
+    onAdd() {
+      const container = L.DomUtil.create('div', 'map-filter leaflet-bar');
+      const counts = countLocationsByCategory();
+      
+      container.innerHTML = html`
+        <fieldset class="map-filter-fieldset">
+          <legend class="map-filter-title">${t('map.filterTitle')}</legend>
+          ${Object.entries(CATEGORIES)
+            .filter(([id]) => counts[id])
+            .map(([id, category]) => html`
+              <label class="map-filter-option">
+                <input type="checkbox" name="category" value="${id}" ${activeCategories.has(id) ? 'checked' : ''}>
+                <span class="map-filter-swatch" style="background-color: ${category.color};" aria-hidden="true"></span>
+                <span class="map-filter-label">${getCategoryLabel(id)}</span>
+                <span class="map-filter-count">${counts[id]}</span>
+              </label>
+            `)}
+        </fieldset>
+      `;
+      
+      container.addEventListener('change', (e) => {
+        const input = e.target.closest('input[name="category"]');
+        if (input) {
+          setCategoryVisibility(input.value, input.checked);
         }
       });
+      
+      // Keep map from panning/zooming while using the panel
+      L.DomEvent.disableClickPropagation(container);
+      L.DomEvent.disableScrollPropagation(container);
+      
+      return container;
+    }
+  });
+  
+  filterControl?.remove();
+  filterControl = new FilterControl().addTo(map);
+}
+
+/**
+ * Legend explaining marker colours and icons
+ */
+function addLegendControl() {
+  const LegendControl = L.Control.extend({
+    options: { position: 'bottomleft' },
+    
+    onAdd() {
+      const container = L.DomUtil.create('div', 'map-legend');
+      const counts = countLocationsByCategory();
+      
+      container.setAttribute('role', 'list');
+      container.setAttribute('aria-label', t('map.legend'));
+      container.innerHTML = Object.entries(CATEGORIES)
+        .filter(([id]) => counts[id])
+        .map(([id, category]) => html`
+          <div class="map-legend-item" role="listitem">
+            <span class="map-legend-pin" style="background-color: ${category.color};" aria-hidden="true">${category.icon}</span>
+            <span>${getCategoryLabel(id)}</span>
+          </div>
+        `).join('');
+      
+      L.DomEvent.disableClickPropagation(container);
+      
+      return container;
+    }
+  });
+  
+  legendControl?.remove();
+  legendControl = new LegendControl().addTo(map);
+}
+
+function countLocationsByCategory() {
+  return locationsData.reduce((counts, location) => {
+    const category = getLocationCategory(location);
+    counts[category] = (counts[category] || 0) + 1;
+    return counts;
+  }, {});
+}
+
+/**
+ * Show or hide all markers of a category
+ */
+export function setCategoryVisibility(categoryId, visible) {
+  if (!CATEGORIES[categoryId]) return;
+  
+  if (visible) {
+    activeCategories.add(categoryId);
+  } else {
+    activeCategories.delete(categoryId);
+  }
+  
+  if (map) {
+    markers.forEach(marker => {
+      if (marker.options.category !== categoryId) return;
+      
+      if (visible) {
+        marker.addTo(map);
+      } else {
+        map.removeLayer(marker);
+      }
+    });
+  }
+  
+  // Keep checkboxes in sync when called from outside the panel
+  const checkbox = document.querySelector(`.map-filter input[value="${categoryId}"]`);
+  if (checkbox) {
+    checkbox.checked = visible;
+  }
+  
+  document.dispatchEvent(new CustomEvent('map:filterchange', {
+    detail: { categories: getActiveCategories() }
+  }));
+}
+
+// Export current filter state (ids of visible categories)
+export function getActiveCategories() {
+  return Array.from(activeCategories);
+}
+
+export function isCategoryActive(categoryId) {
+  return activeCategories.has(categoryId);
+}
+
+/**
+ * Emphasise a group of locations (e.g. the places of a history period) and dim the rest.
+ * `label` names the group in the "show all" panel and may be a localised object.
+ * Pass null to show every marker normally again.
+ */
+export function highlightLocations(locationIds, label = '') {
+  highlight = locationIds ? { ids: new Set(locationIds), label } : null;
+  
+  markers.forEach(applyHighlight);
+  fallbackMap?.highlight(locationIds, label);
+  
+  if (map) {
+    addHighlightControl();
+  }
+}
+
+function applyHighlight(marker) {
+  const element = marker.getElement();
+  if (!element) return;
+  
+  const highlighted = Boolean(highlight?.ids.has(marker.options.locationId));
+  element.classList.toggle('custom-marker--highlighted', highlighted);
+  element.classList.toggle('custom-marker--dimmed', Boolean(highlight) && !highlighted);
+}
+
+/**
+ * Note above the map while a highlight is active, with a button to reset it
+ */
+function addHighlightControl() {
+  highlightControl?.remove();
+  highlightControl = null;
+  
+  if (!highlight) return;
+  
+  const HighlightControl = L.Control.extend({
+    options: { position: 'topleft' },
+    
+    onAdd() {
+      const container = L.DomUtil.create('div', 'map-highlight');
+      container.setAttribute('role', 'status');
+      container.innerHTML = html`
+        <span class="map-highlight-text">${t('map.highlight', { label: localize(highlight.label) })}</span>
+        <button type="button" class="map-highlight-reset">${t('map.showAll')}</button>
+      `;
+      
+      container.querySelector('.map-highlight-reset').addEventListener('click', () => {
+        highlightLocations(null);
+      });
+      
+      L.DomEvent.disableClickPropagation(container);
+      
+      return container;
     }
   });
+  
+  highlightControl = new HighlightControl().addTo(map);
 }
 
 function fitMapToMarkers() {
@@ -238,38 +482,34 @@ function fitMapToMarkers() {
 }
 
 function animateMapAppearance() {
-  if (typeof gsap === 'undefined' || typeof ScrollTrigger === 'undefined') {
-    return;
-  }
-  
   const mapSection = document.querySelector('.map-section');
   if (!mapSection) return;
   
-  // Animate map container fade-in
-  gsap.fromTo('#sicilyMap', 
-    {
-      opacity: 0,
-      scale: 0.95
-    },
-    {
-      opacity: 1,
-      scale: 1,
-      duration: 1,
-      ease: 'power2.out',
-      scrollTrigger: {
-        trigger: mapSection,
-        start: 'top 80%',
-        end: 'top 50%',
-        toggleActions: 'play none none reverse'
-      }
-    }
-  );
+  const getMarkerElements = () => markers.map(marker => marker.getElement()).filter(Boolean);
   
-  // Animate markers appearance with stagger
-  markers.forEach((marker, index) => {
-    const markerElement = marker.getElement();
-    if (markerElement) {
-      gsap.fromTo(markerElement,
+  registerMotion('map', {
+    setup: () => [
+      // Animate map container fade-in
+      gsap.fromTo('#sicilyMap',
+        {
+          opacity: 0,
+          scale: 0.95
+        },
+        {
+          opacity: 1,
+          scale: 1,
+          duration: 1,
+          ease: 'power2.out',
+          scrollTrigger: {
+            trigger: mapSection,
+            start: 'top 80%',
+            end: 'top 50%',
+            toggleActions: 'play none none reverse'
+          }
+        }
+      ),
+      // Animate markers appearance with stagger
+      ...getMarkerElements().map((markerElement, index) => gsap.fromTo(markerElement,
         {
           opacity: 0,
           scale: 0
@@ -286,7 +526,12 @@ function animateMapAppearance() {
             toggleActions: 'play none none reverse'
           }
         }
-      );
+      ))
+    ],
+    // Leaflet positions markers with transform, so only undo what was animated
+    reset: () => {
+      gsap.set('#sicilyMap', { clearProps: 'opacity,transform' });
+      gsap.set(getMarkerElements(), { opacity: 1, scale: 1 });
     }
   });
 }
@@ -296,9 +541,21 @@ export function getMap() {
   return map;
 }
 
+// Export loaded locations (for search and other modules)
+export function getLocations() {
+  return locationsData;
+}
+
+export function getLocationById(locationId) {
+  return locationsData.find(loc => loc.id === locationId) || null;
+}
+
 // Export function to center map on location
 export function centerMapOnLocation(locationId) {
-  if (!map) return;
+  if (!map) {
+    fallbackMap?.showLocation(locationId);
+    return;
+  }
   
   const location = locationsData.find(loc => loc.id === locationId);
   if (!location || !location.coords) return;
@@ -322,6 +579,36 @@ export function centerMapOnLocation(locationId) {
   }
 }
 
+/**
+ * Point out the places of a card or story: one location is centred with its popup,
+ * several are highlighted (see highlightLocations) and framed together
+ */
+export function showOnMap(locationIds, label = '') {
+  const locations = locationIds.map(getLocationById).filter(location => location?.coords);
+  if ((!map && !fallbackMap) || locations.length === 0) return;
+  
+  // Markers hidden by the category filter would not show up
+  locations.forEach(location => {
+    const category = getLocationCategory(location);
+    if (!isCategoryActive(category)) {
+      setCategoryVisibility(category, true);
+    }
+  });
+  
+  if (locations.length === 1) {
+    highlightLocations(null);
+    centerMapOnLocation(locations[0].id);
+    return;
+  }
+  
+  highlightLocations(locations.map(location => location.id), label);
+  map?.fitBounds(L.latLngBounds(locations.map(location => [location.coords.lat, location.coords.lng])).pad(0.2), {
+    maxZoom: 10,
+    animate: true,
+    duration: 1.0
+  });
+}
+
 // Handle window resize
 let resizeTimeout;
 window.addEventListener('resize', () => {
@@ -1,12 +1,42 @@
 /**
- * Modal System with Gallery
- * Handles modal opening/closing, focus trap, and image gallery
+ * Location Dialog with Gallery
+ * Content of the "location" dialog (#modal): gallery, description,
+ * itinerary action and the history of the place
+ *
+ *   openDialog('location', location);
  */
 
+import { registerDialogType } from './dialog.js';
+import { isInItinerary, toggleItineraryStop } from './itinerary.js';
+import { getLocationEvents } from './history.js';
+import { buildHash, getLocationUrl } from './router.js';
+import { t, localize } from './i18n.js';
+import { html } from './html.js';
+import { renderPicture, preparePicture, preloadImage } from './images.js';
+import { announce } from './announcer.js';
+import { renderShareMenu, handleShareMenuClick } from './share.js';
+import { gsap, hasGsap, shouldReduceMotion } from './gsap-setup.js';
+import { registerMotion, trackMotion } from './motion.js';
+import {
+  initLightbox,
+  toggleLightbox,
+  openLightbox,
+  closeLightbox,
+  isLightboxOpen,
+  isImageZoomed,
+  resetImageZoom,
+  handleLightboxKeydown
+} from './lightbox.js';
+
+// Rendered width of gallery images for srcset: the modal is at most 900px wide
+const GALLERY_SIZES = '(max-width: 900px) 100vw, 900px';
+const THUMB_SIZES = '150px';
+
 let currentLocation = null;
 let currentImageIndex = 0;
-let focusableElements = [];
-let previouslyFocusedElement = null;
+let galleryItems = [];
+let pendingImage = null;
+let imageLoadId = 0;
 let touchStartX = 0;
 let touchEndX = 0;
 
@@ -14,195 +44,547 @@ export function initModal() {
   const modal = document.getElementById('modal');
   if (!modal) return;
   
-  const backdrop = modal.querySelector('.modal-backdrop');
-  const closeBtn = modal.querySelector('.modal-close');
+  registerDialogType('location', {
+    element: modal,
+    title: location => localize(location.name),
+    render: renderLocation,
+    onClose: handleClose,
+    handleKeydown: handleModalKeydown
+  });
   
-  // Close on backdrop click
-  backdrop?.addEventListener('click', closeModal);
+  // Location actions (itinerary, share menu)
+  const actions = modal.querySelector('#modalActions');
+  actions?.addEventListener('click', (e) => {
+    if (!currentLocation) return;
+    
+    if (e.target.closest('[data-action="itinerary"]')) {
+      toggleItineraryStop(currentLocation.id);
+    } else if (e.target.closest('[data-action="share"]')) {
+      toggleShareMenu();
+    }
+  });
   
-  // Close on close button
-  closeBtn?.addEventListener('click', closeModal);
+  modal.querySelector('#modalShare')?.addEventListener('click', handleShareMenuClick);
   
-  // Close on Escape key
-  document.addEventListener('keydown', handleModalKeydown);
+  document.addEventListener('itinerary:change', () => {
+    if (currentLocation) {
+      renderActions(currentLocation);
+    }
+  });
   
   // Touch events for swipe
   const gallery = modal.querySelector('.modal-gallery');
   if (gallery) {
     gallery.addEventListener('touchstart', handleTouchStart, { passive: true });
     gallery.addEventListener('touchend', handleTouchEnd, { passive: true });
+    gallery.addEventListener('click', handleGalleryClick);
+    // error doesn't bubble
+    gallery.addEventListener('error', handleGalleryImageError, true);
   }
   
-  // Expose openModal globally
-  window.openModal = openModal;
+  // Gallery crossfades are one-off tweens; motion off (or a hidden tab) ends them
+  registerMotion('gallery', {
+    reset: () => document.querySelectorAll('.gallery-main').forEach(finishCrossfade)
+  });
+  
+  // Fullscreen viewer
+  initLightbox();
   
   console.log('Modal system initialized');
 }
 
-export function openModal(location) {
-  const modal = document.getElementById('modal');
-  if (!modal || !location) return;
+function handleClose() {
+  closeLightbox();
+  cancelImageLoad();
   
-  currentLocation = location;
+  currentLocation = null;
   currentImageIndex = 0;
+  galleryItems = [];
+}
+
+/**
+ * Fill #modal with a location; on a language change (refresh) the shown image is kept
+ */
+function renderLocation(body, location, { refresh = false } = {}) {
+  const description = body.querySelector('#modalDescription');
+  const gallery = body.querySelector('#modalGallery');
+  const imageIndex = refresh ? currentImageIndex : 0;
   
-  // Store currently focused element
-  previouslyFocusedElement = document.activeElement;
-  
-  // Set modal content
-  const title = modal.querySelector('#modal-title');
-  const description = modal.querySelector('#modalDescription');
-  const gallery = modal.querySelector('#modalGallery');
+  currentLocation = location;
+  currentImageIndex = 0;
   
-  if (title) title.textContent = location.name;
-  if (description) description.innerHTML = `<p>${location.summary}</p>`;
+  if (description) description.innerHTML = html`<p>${localize(location.summary)}</p>`;
   
   // Render gallery
   if (gallery) {
-    renderGallery(location.gallery || []);
+    renderGallery(getGalleryItems(location));
   }
   
-  // Show modal
-  modal.setAttribute('aria-hidden', 'false');
-  document.body.style.overflow = 'hidden';
+  if (imageIndex > 0) {
+    currentImageIndex = imageIndex;
+    updateGalleryImage();
+  }
   
-  // Setup focus trap
-  setupFocusTrap(modal);
+  renderActions(location);
+  renderShare(location);
+  renderHistory(location);
   
-  // Focus first focusable element
-  setTimeout(() => {
-    if (focusableElements.length > 0) {
-      focusableElements[0].focus();
-    }
-  }, 100);
+  // Another place: start with the share menu folded
+  if (!refresh) toggleShareMenu(false);
 }
 
-export function closeModal() {
-  const modal = document.getElementById('modal');
-  if (!modal) return;
+function renderActions(location) {
+  const actions = document.querySelector('#modalActions');
+  if (!actions) return;
   
-  modal.setAttribute('aria-hidden', 'true');
-  document.body.style.overflow = '';
+  let button = actions.querySelector('[data-action="itinerary"]');
   
-  // Return focus to previously focused element
-  if (previouslyFocusedElement) {
-    previouslyFocusedElement.focus();
-    previouslyFocusedElement = null;
+  // Update the existing buttons in place so they keep focus after a toggle
+  if (!button) {
+    actions.innerHTML = `
+      <button type="button" class="modal-action" data-action="itinerary"></button>
+      <button type="button" class="modal-action" data-action="share" aria-expanded="false" aria-controls="modalShare"></button>
+    `;
+    button = actions.querySelector('[data-action="itinerary"]');
   }
   
-  // Clear data
-  currentLocation = null;
-  currentImageIndex = 0;
-  focusableElements = [];
+  const added = isInItinerary(location.id);
+  button.classList.toggle('active', added);
+  button.setAttribute('aria-pressed', String(added));
+  button.textContent = added ? t('modal.inItinerary') : t('modal.addToItinerary');
+  
+  actions.querySelector('[data-action="share"]').textContent = t('share.button');
+}
+
+/**
+ * Share menu: a deep link straight to this location, as a link and a QR code
+ */
+function renderShare(location) {
+  const share = document.querySelector('#modalShare');
+  if (!share) return;
+  
+  share.innerHTML = renderShareMenu({
+    title: localize(location.name),
+    url: getLocationUrl(location.id),
+    filename: `sicily-${location.id}`
+  });
+}
+
+function toggleShareMenu(open) {
+  const share = document.querySelector('#modalShare');
+  const button = document.querySelector('#modalActions [data-action="share"]');
+  if (!share) return;
+  
+  const show = open ?? share.hidden;
+  share.hidden = !show;
+  button?.setAttribute('aria-expanded', String(show));
 }
 
-function renderGallery(images) {
+/**
+ * "History of this place": events linked to the location, each a deep link into the timeline
+ */
+function renderHistory(location) {
+  const section = document.querySelector('#modalHistory');
+  const list = section?.querySelector('.modal-history-list');
+  if (!list) return;
+  
+  const events = getLocationEvents(location.id);
+  section.hidden = events.length === 0;
+  
+  list.innerHTML = events.map(({ periodId, eventIndex, period, event }) => html`
+    <li>
+      <a class="modal-history-link" href="${buildHash({ name: 'history', periodId, eventIndex })}">
+        <span class="modal-history-year">${localize(event.year)}</span>
+        <span class="modal-history-event">${localize(event.title)}</span>
+        <span class="modal-history-period">${localize(period.period)}</span>
+      </a>
+    </li>
+  `).join('');
+}
+
+/**
+ * Gallery entries are either image URLs or objects:
+ * { src, alt, caption, author, license, sourceUrl } (alt and caption may be localised)
+ */
+function normalizeGalleryItem(entry) {
+  if (typeof entry === 'string') {
+    return { src: entry };
+  }
+  
+  if (!entry || typeof entry !== 'object' || !entry.src) return null;
+  
+  const { src, alt, caption, author, license, sourceUrl } = entry;
+  return { src, alt, caption, author, license, sourceUrl };
+}
+
+function getGalleryItems(location) {
+  return (location.gallery || []).map(normalizeGalleryItem).filter(Boolean);
+}
+
+// Own alt text, or the place name (numbered when there are several images)
+function getImageAlt(item, index) {
+  const name = localize(currentLocation?.name) || '';
+  const alt = localize(item.alt);
+  
+  if (alt) return alt;
+  if (galleryItems.length > 1) return t('modal.imageAlt', { name, number: index + 1 });
+  return name;
+}
+
+/**
+ * Caption and credits line ("Photo: author · licence · Source")
+ */
+function renderCaption(item) {
+  const caption = localize(item.caption);
+  const author = localize(item.author);
+  const credits = [
+    author && html`<span class="gallery-credit-author">${t('modal.photoBy', { author })}</span>`,
+    item.license && html`<span class="gallery-credit-license">${localize(item.license)}</span>`,
+    item.sourceUrl && html`<a class="gallery-credit-source" href="${item.sourceUrl}" target="_blank" rel="noopener noreferrer">${t('modal.photoSource')}</a>`
+  ].filter(Boolean);
+  
+  return html`
+    ${caption && html`<span class="gallery-caption-text">${caption}</span>`}
+    ${credits.length > 0 && html`
+      <span class="gallery-credits">
+        ${credits.map((credit, index) => html`${index > 0 && html`<span aria-hidden="true"> · </span>`}${credit}`)}
+      </span>
+    `}
+  `;
+}
+
+function renderGalleryImage(item, index) {
+  return renderPicture(item.src, {
+    className: 'gallery-image',
+    alt: getImageAlt(item, index),
+    sizes: GALLERY_SIZES,
+    loading: 'eager'
+  });
+}
+
+/**
+ * Spinner and error message laid over the image (shown by setImageState)
+ */
+function renderImageState() {
+  return html`
+    <div class="gallery-loader" aria-hidden="true">
+      <span class="modal-spinner"></span>
+    </div>
+    <div class="gallery-error" hidden>
+      <span>${t('modal.imageError')}</span>
+      <button type="button" class="gallery-retry" data-action="retry-image">${t('modal.retry')}</button>
+    </div>
+  `;
+}
+
+function hasCaption(item) {
+  return Boolean(localize(item.caption) || localize(item.author) || item.license || item.sourceUrl);
+}
+
+function renderGallery(items) {
   const gallery = document.querySelector('#modalGallery');
   if (!gallery) return;
   
+  closeLightbox();
+  cancelImageLoad();
+  galleryItems = items;
   gallery.innerHTML = '';
   
-  if (!images || images.length === 0) {
-    gallery.innerHTML = `
+  if (!items || items.length === 0) {
+    gallery.innerHTML = html`
       <div class="gallery-empty">
-        <span>📷 Изображения скоро появятся</span>
+        <span>${t('modal.galleryEmpty')}</span>
       </div>
     `;
     return;
   }
   
-  if (images.length === 1) {
+  const [first] = items;
+  
+  if (items.length === 1) {
     // Single image
-    gallery.innerHTML = `
-      <div class="gallery-single">
-        <img src="${images[0]}" alt="${currentLocation?.name || ''}" loading="lazy" decoding="async">
-      </div>
+    gallery.innerHTML = html`
+      <figure class="gallery-figure">
+        <div class="gallery-single">
+          ${renderGalleryImage(first, 0)}
+          ${renderImageState()}
+          ${renderGalleryToolbar()}
+        </div>
+        <figcaption class="gallery-caption" ${!hasCaption(first) && 'hidden'}>${renderCaption(first)}</figcaption>
+      </figure>
     `;
     return;
   }
   
   // Multiple images - full gallery
-  gallery.innerHTML = `
-    <div class="gallery-main">
-      <img id="galleryMainImage" src="${images[0]}" alt="${currentLocation?.name || ''}" loading="lazy" decoding="async">
-      <button class="gallery-nav prev" aria-label="Предыдущее изображение">
-        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-          <polyline points="15 18 9 12 15 6"></polyline>
-        </svg>
-      </button>
-      <button class="gallery-nav next" aria-label="Следующее изображение">
-        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-          <polyline points="9 18 15 12 9 6"></polyline>
-        </svg>
-      </button>
-      <div class="gallery-indicator">
-        <span id="galleryCounter">1 / ${images.length}</span>
+  gallery.innerHTML = html`
+    <figure class="gallery-figure">
+      <div class="gallery-main">
+        ${renderGalleryImage(first, 0)}
+        ${renderImageState()}
+        <button class="gallery-nav prev" aria-label="${t('modal.prevImage')}">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <polyline points="15 18 9 12 15 6"></polyline>
+          </svg>
+        </button>
+        <button class="gallery-nav next" aria-label="${t('modal.nextImage')}">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <polyline points="9 18 15 12 9 6"></polyline>
+          </svg>
+        </button>
+        <div class="gallery-indicator">
+          <span id="galleryCounter">1 / ${items.length}</span>
+        </div>
+        ${renderGalleryToolbar()}
       </div>
-    </div>
-    <div class="gallery-thumbs" role="list" aria-label="Миниатюры галереи">
-      ${images.map((img, index) => `
+      <figcaption class="gallery-caption" id="galleryCaption" ${!hasCaption(first) && 'hidden'}>${renderCaption(first)}</figcaption>
+    </figure>
+    <div class="gallery-thumbs" role="list" aria-label="${t('modal.thumbnails')}">
+      ${items.map((item, index) => html`
         <button class="gallery-thumb ${index === 0 ? 'active' : ''}" 
                 data-index="${index}"
                 role="listitem"
-                aria-label="Перейти к изображению ${index + 1}">
-          <img src="${img}" alt="" loading="lazy" decoding="async">
+                aria-label="${t('modal.goToImage', { number: index + 1 })}">
+          ${renderPicture(item.src, { alt: getImageAlt(item, index), sizes: THUMB_SIZES })}
         </button>
-      `).join('')}
+      `)}
     </div>
   `;
   
   // Setup gallery navigation
-  setupGalleryNavigation(images);
+  setupGalleryNavigation();
+  
+  // Neighbours start loading once the first image is on screen
+  gallery.querySelector('.gallery-image')?.decode().then(preloadNeighbours, () => {});
 }
 
-function setupGalleryNavigation(images) {
+/**
+ * Fullscreen toggle plus zoom buttons (the zoom buttons only show in fullscreen)
+ */
+function renderGalleryToolbar() {
+  return html`
+    <div class="gallery-toolbar">
+      <button type="button" class="gallery-tool gallery-tool--zoom" data-lightbox="zoom-out" aria-label="${t('modal.zoomOut')}">−</button>
+      <button type="button" class="gallery-tool gallery-tool--zoom" data-lightbox="zoom-in" aria-label="${t('modal.zoomIn')}">+</button>
+      <button type="button" class="gallery-tool gallery-tool--zoom" data-lightbox="reset" aria-label="${t('modal.zoomReset')}">1:1</button>
+      <button type="button" class="gallery-tool" data-lightbox="toggle" aria-pressed="false" aria-label="${t('modal.fullscreen')}">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+          <polyline points="4 9 4 4 9 4"></polyline>
+          <polyline points="20 9 20 4 15 4"></polyline>
+          <polyline points="4 15 4 20 9 20"></polyline>
+          <polyline points="20 15 20 20 15 20"></polyline>
+        </svg>
+      </button>
+    </div>
+  `;
+}
+
+// Fullscreen button, or a click on the image itself, opens the viewer
+function handleGalleryClick(e) {
+  const block = e.target.closest('.gallery-main, .gallery-single');
+  if (!block) return;
+  
+  if (e.target.closest('[data-action="retry-image"]')) {
+    showGalleryImage(block, galleryItems[currentImageIndex], currentImageIndex);
+  } else if (e.target.closest('[data-lightbox="toggle"]')) {
+    toggleLightbox(block);
+  } else if (e.target.tagName === 'IMG' && !isLightboxOpen()) {
+    openLightbox(block);
+  }
+}
+
+// Broken images: error state on the main image, a marker on thumbnails
+function handleGalleryImageError(e) {
+  if (e.target.tagName !== 'IMG') return;
+  
+  const thumb = e.target.closest('.gallery-thumb');
+  if (thumb) {
+    thumb.classList.add('has-error');
+    return;
+  }
+  
+  const block = e.target.closest('.gallery-main, .gallery-single');
+  if (block && e.target.classList.contains('gallery-image')) {
+    setImageState(block, 'error');
+  }
+}
+
+function setImageState(block, state) {
+  const error = block.querySelector('.gallery-error');
+  
+  block.classList.toggle('is-loading', state === 'loading');
+  block.classList.toggle('has-error', state === 'error');
+  if (error) error.hidden = state !== 'error';
+  
+  if (state === 'error') {
+    announce(t('modal.imageError'));
+  }
+}
+
+// The shown image: its <picture>, or the <img> itself without responsive versions
+function getImageLayer(block) {
+  const image = block.querySelector('.gallery-image');
+  return image?.closest('picture') || image;
+}
+
+/**
+ * Drop a load that is still running (the visitor moved on, or the gallery was replaced)
+ */
+function cancelImageLoad() {
+  imageLoadId++;
+  pendingImage?.cancel();
+  pendingImage = null;
+}
+
+/**
+ * Load and decode an image off-screen, then swap it in; the old image stays
+ * until then, so slow connections never show a blank or half-drawn frame
+ */
+async function showGalleryImage(block, item, index) {
+  cancelImageLoad();
+  finishCrossfade(block);
+  
+  const loadId = imageLoadId;
+  const next = preparePicture(renderGalleryImage(item, index));
+  pendingImage = next;
+  setImageState(block, 'loading');
+  
+  let failed = false;
+  try {
+    await next.ready;
+  } catch {
+    failed = true;
+  }
+  
+  // Another image was requested meanwhile
+  if (loadId !== imageLoadId) return;
+  
+  pendingImage = null;
+  swapImageLayer(block, next.element, !failed);
+  setImageState(block, failed ? 'error' : null);
+  
+  if (!failed) {
+    preloadNeighbours();
+  }
+}
+
+function swapImageLayer(block, element, animate) {
+  const previous = getImageLayer(block);
+  
+  if (!previous) {
+    block.prepend(element);
+    return;
+  }
+  
+  previous.after(element);
+  
+  if (!animate || shouldReduceMotion() || !hasGsap()) {
+    previous.remove();
+    return;
+  }
+  
+  // Crossfade: the new image fades in on top of the old one
+  previous.classList.add('is-outgoing');
+  element.classList.add('is-incoming');
+  trackMotion('gallery', gsap.fromTo(element,
+    { opacity: 0 },
+    {
+      opacity: 1,
+      duration: 0.4,
+      ease: 'power1.out',
+      onComplete: () => finishCrossfade(block)
+    }
+  ));
+}
+
+// Jump to the end of a running crossfade
+function finishCrossfade(block) {
+  block.querySelectorAll('.is-outgoing').forEach(layer => layer.remove());
+  block.querySelectorAll('.is-incoming').forEach(layer => {
+    if (hasGsap()) {
+      gsap.killTweensOf(layer);
+    }
+    layer.classList.remove('is-incoming');
+    layer.style.opacity = '';
+  });
+}
+
+// Next and previous images, so stepping through the gallery is instant
+function preloadNeighbours() {
+  if (galleryItems.length < 2) return;
+  
+  [1, -1].forEach(step => {
+    const index = (currentImageIndex + step + galleryItems.length) % galleryItems.length;
+    preloadImage(galleryItems[index].src, { sizes: GALLERY_SIZES });
+  });
+}
+
+function setupGalleryNavigation() {
   const prevBtn = document.querySelector('.gallery-nav.prev');
   const nextBtn = document.querySelector('.gallery-nav.next');
   const thumbs = document.querySelectorAll('.gallery-thumb');
   
-  prevBtn?.addEventListener('click', () => navigateGallery(-1, images));
-  nextBtn?.addEventListener('click', () => navigateGallery(1, images));
+  prevBtn?.addEventListener('click', () => navigateGallery(-1));
+  nextBtn?.addEventListener('click', () => navigateGallery(1));
   
   thumbs.forEach((thumb, index) => {
     thumb.addEventListener('click', () => {
       currentImageIndex = index;
-      updateGalleryImage(images);
+      updateGalleryImage({ announceChange: true });
     });
   });
 }
 
-function navigateGallery(direction, images) {
+function navigateGallery(direction) {
   currentImageIndex += direction;
   
   if (currentImageIndex < 0) {
-    currentImageIndex = images.length - 1;
-  } else if (currentImageIndex >= images.length) {
+    currentImageIndex = galleryItems.length - 1;
+  } else if (currentImageIndex >= galleryItems.length) {
     currentImageIndex = 0;
   }
   
-  updateGalleryImage(images);
+  updateGalleryImage({ announceChange: true });
 }
 
-function updateGalleryImage(images) {
-  const mainImage = document.getElementById('galleryMainImage');
+function updateGalleryImage({ announceChange = false } = {}) {
+  const item = galleryItems[currentImageIndex];
+  const main = document.querySelector('.gallery-main');
   const counter = document.getElementById('galleryCounter');
+  const caption = document.getElementById('galleryCaption');
   const thumbs = document.querySelectorAll('.gallery-thumb');
   
-  if (mainImage) {
-    mainImage.src = images[currentImageIndex];
+  if (!item) return;
+  
+  if (main) {
+    resetImageZoom();
+    showGalleryImage(main, item, currentImageIndex);
   }
   
   if (counter) {
-    counter.textContent = `${currentImageIndex + 1} / ${images.length}`;
+    counter.textContent = `${currentImageIndex + 1} / ${galleryItems.length}`;
+  }
+  
+  if (caption) {
+    caption.innerHTML = renderCaption(item);
+    caption.hidden = !hasCaption(item);
   }
   
   thumbs.forEach((thumb, index) => {
     thumb.classList.toggle('active', index === currentImageIndex);
   });
+  
+  // Screen readers hear the position, caption and credits (the image itself changes silently)
+  if (announceChange) {
+    const position = t('modal.imageStatus', { number: currentImageIndex + 1, total: galleryItems.length });
+    const details = caption && !caption.hidden ? caption.textContent.replace(/\s+/g, ' ').trim() : '';
+    announce(details ? `${position}. ${details}` : position);
+  }
 }
 
 function handleTouchStart(e) {
-  touchStartX = e.changedTouches[0].screenX;
+  // A second finger means pinch, not swipe
+  touchStartX = e.touches.length > 1 ? null : e.changedTouches[0].screenX;
 }
 
 function handleTouchEnd(e) {
@@ -211,81 +593,40 @@ function handleTouchEnd(e) {
 }
 
 function handleSwipe() {
+  // While zoomed in, dragging pans the image instead
+  if (touchStartX === null || isImageZoomed()) return;
+  
   const swipeThreshold = 50;
   const diff = touchStartX - touchEndX;
   
   if (Math.abs(diff) < swipeThreshold) return;
   
-  if (!currentLocation?.gallery || currentLocation.gallery.length <= 1) return;
+  if (galleryItems.length <= 1) return;
   
   if (diff > 0) {
     // Swipe left - next image
-    navigateGallery(1, currentLocation.gallery);
+    navigateGallery(1);
   } else {
     // Swipe right - previous image
-    navigateGallery(-1, currentLocation.gallery);
+    navigateGallery(-1);
   }
 }
 
-function setupFocusTrap(modal) {
-  // Get all focusable elements
-  const focusableSelectors = [
-    'a[href]',
-    'button:not([disabled])',
-    'textarea:not([disabled])',
-    'input:not([disabled])',
-    'select:not([disabled])',
-    '[tabindex]:not([tabindex="-1"])'
-  ].join(', ');
-  
-  focusableElements = Array.from(modal.querySelectorAll(focusableSelectors));
-  
-  if (focusableElements.length === 0) return;
-  
-  const firstElement = focusableElements[0];
-  const lastElement = focusableElements[focusableElements.length - 1];
-  
-  // Remove old listener if exists
-  modal.removeEventListener('keydown', trapFocus);
-  
-  // Add focus trap
-  modal.addEventListener('keydown', function trapFocus(e) {
-    if (e.key !== 'Tab') return;
-    
-    if (e.shiftKey) {
-      // Shift + Tab
-      if (document.activeElement === firstElement) {
-        e.preventDefault();
-        lastElement.focus();
-      }
-    } else {
-      // Tab
-      if (document.activeElement === lastElement) {
-        e.preventDefault();
-        firstElement.focus();
-      }
-    }
-  });
-}
-
+/**
+ * Keys while the location dialog is on top; returns true if the key was used
+ * (Escape is left to the dialog unless the fullscreen viewer is open)
+ */
 function handleModalKeydown(e) {
-  const modal = document.getElementById('modal');
-  if (!modal || modal.getAttribute('aria-hidden') === 'true') return;
+  // Zoom keys, panning and Escape belong to the fullscreen viewer while it's open
+  if (handleLightboxKeydown(e)) return true;
   
-  if (e.key === 'Escape') {
+  // Arrow keys for gallery navigation
+  if (galleryItems.length > 1 && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
     e.preventDefault();
-    closeModal();
+    navigateGallery(e.key === 'ArrowLeft' ? -1 : 1);
+    return true;
   }
   
-  // Arrow keys for gallery navigation
-  if (currentLocation?.gallery && currentLocation.gallery.length > 1) {
-    if (e.key === 'ArrowLeft') {
-      e.preventDefault();
-      navigateGallery(-1, currentLocation.gallery);
-    } else if (e.key === 'ArrowRight') {
-      e.preventDefault();
-      navigateGallery(1, currentLocation.gallery);
-    }
-  }
+  return false;
 }
 
@@ -0,0 +1,239 @@
+/**
+ * Motion Controller
+ * Decides whether the page moves and owns every decorative GSAP tween and
+ * ScrollTrigger. Motion is on unless the visitor turned it off with the header
+ * toggle (saved in localStorage) or, without a saved choice, the system asks
+ * for reduced motion. The html.reduce-motion class mirrors the state for CSS
+ * and shouldReduceMotion().
+ *
+ * Modules register their animations as named groups:
+ *
+ *   registerMotion('parallax', {
+ *     setup: () => [gsap.to(layer, { scrollTrigger: ... })], // build, return what to track
+ *     reset: () => gsap.set(layer, { clearProps: 'transform' }) // static end state
+ *   });
+ *   trackMotion('slider', gsap.to(track, { x: '-100%' })); // one-off tweens
+ *
+ * Turning motion off kills every group and resets it; turning it on runs the
+ * setups again. Running tweens are paused while the tab is hidden. Groups
+ * registered before GSAP has loaded are kept unbuilt until app.js calls
+ * restoreMotion(); if it never loads (blocked CDN) the layout stays static.
+ *
+ * Left out on purpose: the stories tour's ScrollTriggers (tour.js). They move
+ * the map to each story rather than decorate, so they keep running with motion
+ * off; the tour then jumps instead of flying (shouldReduceMotion()).
+ *
+ * Event on document:
+ *   motion:change  detail { enabled, paused }
+ */
+
+import { hasGsap, refreshScrollTrigger } from './gsap-setup.js';
+import { t } from './i18n.js';
+
+const STORAGE_KEY = 'motionEnabled';
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+// id -> { setup, reset, instances }
+const groups = new Map();
+let enabled = true;
+let paused = false;
+let pausedInstances = [];
+
+export function isMotionEnabled() {
+  return enabled;
+}
+
+function notifyChange() {
+  document.dispatchEvent(new CustomEvent('motion:change', {
+    detail: { enabled, paused }
+  }));
+}
+
+// Tweens and timelines (with their ScrollTrigger) or plain ScrollTriggers
+function killInstance(instance) {
+  instance.scrollTrigger?.kill();
+  instance.kill?.();
+}
+
+// A finished one-off tween; scroll-driven ones can always run again
+function isFinished(instance) {
+  return typeof instance.progress === 'function' && !instance.scrollTrigger && instance.progress() === 1;
+}
+
+function startGroup(group) {
+  if (!enabled || !group.setup || !hasGsap()) return;
+  group.instances = (group.setup() || []).filter(Boolean);
+}
+
+function stopGroup(group) {
+  group.instances.forEach(killInstance);
+  group.instances = [];
+  if (hasGsap()) group.reset?.();
+}
+
+/**
+ * Register (or replace) a group of animations; setup runs now if motion is on,
+ * otherwise reset does
+ */
+export function registerMotion(id, { setup, reset } = {}) {
+  groups.get(id)?.instances.forEach(killInstance);
+  
+  const group = { setup, reset, instances: [] };
+  groups.set(id, group);
+  
+  if (enabled) {
+    startGroup(group);
+  } else if (hasGsap()) {
+    group.reset?.();
+  }
+}
+
+/**
+ * Track a tween created outside setup (e.g. in response to a click).
+ * With motion off it jumps to its end and is dropped.
+ */
+export function trackMotion(id, instance) {
+  const group = groups.get(id);
+  if (!instance) return instance;
+  
+  if (!group) {
+    console.warn(`⚠️ Unknown motion group: ${id}`);
+    return instance;
+  }
+  
+  if (!enabled) {
+    instance.progress?.(1);
+    killInstance(instance);
+    return instance;
+  }
+  
+  group.instances = group.instances.filter(item => !isFinished(item));
+  group.instances.push(instance);
+  return instance;
+}
+
+/**
+ * Kill every registered animation and leave elements in their end state
+ */
+export function killMotion() {
+  groups.forEach(stopGroup);
+}
+
+/**
+ * Rebuild every registered animation (if motion is on)
+ */
+export function restoreMotion() {
+  groups.forEach(group => {
+    group.instances.forEach(killInstance);
+    startGroup(group);
+  });
+  refreshScrollTrigger();
+}
+
+/**
+ * Pause tweens that are running right now (scroll-driven ones wait for their trigger anyway)
+ */
+export function pauseMotion() {
+  if (paused) return;
+  paused = true;
+  
+  pausedInstances = [];
+  groups.forEach(group => group.instances.forEach(instance => {
+    if (typeof instance.isActive === 'function' && instance.isActive()) {
+      instance.pause();
+      pausedInstances.push(instance);
+    }
+  }));
+  
+  notifyChange();
+}
+
+export function resumeMotion() {
+  if (!paused) return;
+  paused = false;
+  
+  pausedInstances.forEach(instance => instance.resume());
+  pausedInstances = [];
+  
+  notifyChange();
+}
+
+function applyMotionClass() {
+  document.documentElement.classList.toggle('reduce-motion', !enabled);
+}
+
+function updateToggleButton() {
+  const toggle = document.getElementById('motionToggle');
+  if (!toggle) return;
+  
+  // Pressed = "reduce motion" is on
+  toggle.setAttribute('aria-pressed', String(!enabled));
+  
+  const stateSpan = toggle.querySelector('.toggle-state');
+  if (stateSpan) stateSpan.textContent = t(enabled ? 'motion.on' : 'motion.off');
+}
+
+/**
+ * Turn motion on or off; save: false for changes that don't come from the visitor
+ */
+export function setMotionEnabled(value, { save = true } = {}) {
+  if (save) localStorage.setItem(STORAGE_KEY, String(value));
+  if (value === enabled) return;
+  
+  enabled = value;
+  applyMotionClass();
+  updateToggleButton();
+  
+  if (enabled) {
+    restoreMotion();
+  } else {
+    // Nothing left to resume once everything is killed
+    paused = false;
+    pausedInstances = [];
+    killMotion();
+    refreshScrollTrigger();
+  }
+  
+  console.log(`Motion ${enabled ? 'enabled' : 'disabled'}`);
+  notifyChange();
+}
+
+// The visitor's saved choice wins over the system setting
+function getPreferredMotion() {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  if (saved !== null) return saved === 'true';
+  
+  return !window.matchMedia(REDUCED_MOTION_QUERY).matches;
+}
+
+/**
+ * Initialize before the modules that register animations
+ */
+export function initMotion() {
+  enabled = getPreferredMotion();
+  applyMotionClass();
+  
+  document.getElementById('motionToggle')?.addEventListener('click', () => {
+    setMotionEnabled(!enabled);
+  });
+  document.addEventListener('i18n:change', updateToggleButton);
+  updateToggleButton();
+  
+  // Follow the system setting until the visitor picks one
+  window.matchMedia(REDUCED_MOTION_QUERY).addEventListener('change', (e) => {
+    if (localStorage.getItem(STORAGE_KEY) === null) {
+      setMotionEnabled(!e.matches, { save: false });
+    }
+  });
+  
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+      pauseMotion();
+    } else {
+      resumeMotion();
+      refreshScrollTrigger();
+    }
+  });
+  
+  console.log(`✅ Motion ${enabled ? 'enabled' : 'reduced'}`);
+}
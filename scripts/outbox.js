@@ -0,0 +1,257 @@
+/**
+ * Contact Outbox
+ * Sends contact messages to POST /api/contact, and keeps the ones written
+ * offline in IndexedDB until they go through: when the connection comes back
+ * (`online`), through Background Sync (sw.js sends them even with the page
+ * closed) and on a retry timer with exponential backoff.
+ *
+ * A message keeps its id on every attempt and the server ignores ids it has
+ * already saved, so a message sent by both the page and the worker arrives once.
+ *
+ * Events on document:
+ *   outbox:change  detail { messages }  - the queue changed (queued, sent, cancelled)
+ *   outbox:sent    detail { count }     - queued messages were delivered
+ */
+
+// Relative, so it also works when the site lives in a subdirectory
+const CONTACT_ENDPOINT = './api/contact';
+
+// Same names in sw.js, which can't import this module
+const DB_NAME = 'sicily-outbox';
+const DB_VERSION = 1;
+const STORE = 'messages';
+export const OUTBOX_SYNC_TAG = 'contact-outbox';
+
+const RETRY_BASE_DELAY = 30 * 1000; // ms, doubled after every failed attempt...
+const RETRY_MAX_DELAY = 30 * 60 * 1000; // ...up to half an hour
+const MIN_RETRY_DELAY = 1000; // ms, keeps a failing queue from retrying in a tight loop
+
+let dbPromise = null;
+let flushing = null;
+let retryTimeout = null;
+
+/* ---------- Sending ---------- */
+
+/**
+ * POST one message { id, values }; resolves with { ok } or
+ * { ok: false, error: 'network' | 'rateLimited' | 'send', errors, retryAfter }
+ * (never rejects: a network failure is just another error)
+ */
+export async function deliverMessage({ id, values }) {
+  let response;
+  
+  try {
+    response = await fetch(CONTACT_ENDPOINT, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...values, id })
+    });
+  } catch (error) {
+    return { ok: false, error: 'network' };
+  }
+  
+  // Static hosting without the server answers with an HTML 404/405 page
+  const body = await response.json().catch(() => ({}));
+  
+  if (response.ok && body.ok) {
+    return { ok: true };
+  }
+  
+  return {
+    ok: false,
+    error: response.status === 429 ? 'rateLimited' : 'send',
+    errors: body.errors,
+    retryAfter: Number(response.headers.get('Retry-After')) || 0
+  };
+}
+
+export function createMessageId() {
+  return crypto.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+/* ---------- IndexedDB ---------- */
+
+function toPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDatabase() {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE, { keyPath: 'id' });
+    };
+    
+    dbPromise = toPromise(request).catch(error => {
+      // Let a later call try again (e.g. storage was briefly unavailable)
+      dbPromise = null;
+      throw error;
+    });
+  }
+  
+  return dbPromise;
+}
+
+async function getStore(mode) {
+  const db = await openDatabase();
+  return db.transaction(STORE, mode).objectStore(STORE);
+}
+
+async function putMessage(message) {
+  await toPromise((await getStore('readwrite')).put(message));
+}
+
+async function deleteMessage(id) {
+  await toPromise((await getStore('readwrite')).delete(id));
+}
+
+/**
+ * Queued messages, oldest first:
+ * { id, values, createdAt, attempts, nextAttemptAt, status: 'pending' | 'rejected' }
+ */
+export async function getOutboxMessages() {
+  if (!('indexedDB' in window)) return [];
+  
+  const messages = await toPromise((await getStore('readonly')).getAll());
+  return messages.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+async function notifyChange() {
+  const messages = await getOutboxMessages().catch(() => []);
+  document.dispatchEvent(new CustomEvent('outbox:change', { detail: { messages } }));
+}
+
+/* ---------- Queue ---------- */
+
+/**
+ * Keep a message for later; resolves false if it can't be stored
+ * (no IndexedDB, private mode), so the caller can report the failure instead
+ */
+export async function queueMessage({ id, values }) {
+  try {
+    await putMessage({
+      id,
+      values,
+      createdAt: Date.now(),
+      attempts: 0,
+      // The first attempt just failed, the online event will try sooner if it can
+      nextAttemptAt: Date.now() + RETRY_BASE_DELAY,
+      status: 'pending'
+    });
+  } catch (error) {
+    console.warn('⚠️ Could not queue message:', error.message);
+    return false;
+  }
+  
+  requestBackgroundSync();
+  notifyChange();
+  scheduleRetry();
+  return true;
+}
+
+export async function cancelMessage(id) {
+  await deleteMessage(id);
+  await notifyChange();
+  scheduleRetry();
+}
+
+function getRetryDelay(attempts) {
+  return Math.min(RETRY_BASE_DELAY * 2 ** (attempts - 1), RETRY_MAX_DELAY);
+}
+
+async function sendQueuedMessages(force) {
+  if (!navigator.onLine) return;
+  
+  let sent = 0;
+  
+  for (const message of await getOutboxMessages()) {
+    if (message.status !== 'pending') continue;
+    if (!force && message.nextAttemptAt > Date.now()) continue;
+    
+    const result = await deliverMessage(message);
+    
+    if (result.ok) {
+      await deleteMessage(message.id);
+      sent++;
+    } else if (result.errors) {
+      // The server refused the content itself: retrying won't help, the visitor decides
+      await putMessage({ ...message, status: 'rejected' });
+    } else {
+      const attempts = message.attempts + 1;
+      const delay = result.retryAfter * 1000 || getRetryDelay(attempts);
+      await putMessage({ ...message, attempts, nextAttemptAt: Date.now() + delay });
+      
+      // Still offline: the rest would fail the same way
+      if (result.error === 'network') break;
+    }
+  }
+  
+  if (sent > 0) {
+    document.dispatchEvent(new CustomEvent('outbox:sent', { detail: { count: sent } }));
+  }
+}
+
+/**
+ * Try to send queued messages whose retry time has come
+ * (force: all of them now, e.g. right after coming back online)
+ */
+export function flushOutbox({ force = false } = {}) {
+  if (!flushing) {
+    flushing = sendQueuedMessages(force)
+      .catch(error => console.warn('⚠️ Outbox not sent:', error.message))
+      .finally(() => {
+        flushing = null;
+        notifyChange();
+        scheduleRetry();
+      });
+  }
+  
+  return flushing;
+}
+
+// One timer for the earliest pending retry (offline, the online event takes over)
+async function scheduleRetry() {
+  clearTimeout(retryTimeout);
+  if (!navigator.onLine) return;
+  
+  const pending = (await getOutboxMessages().catch(() => []))
+    .filter(message => message.status === 'pending');
+  if (pending.length === 0) return;
+  
+  const next = Math.min(...pending.map(message => message.nextAttemptAt));
+  retryTimeout = setTimeout(() => flushOutbox(), Math.max(MIN_RETRY_DELAY, next - Date.now()));
+}
+
+// Let the service worker send the queue even if the page is closed by then
+function requestBackgroundSync() {
+  navigator.serviceWorker?.ready
+    .then(registration => registration.sync?.register(OUTBOX_SYNC_TAG))
+    .catch(() => {
+      // Background Sync not supported: the online event and the retry timer remain
+    });
+}
+
+/**
+ * Initialize the outbox (once): send what is left from earlier visits
+ */
+export function initOutbox() {
+  if (!('indexedDB' in window)) return;
+  
+  window.addEventListener('online', () => flushOutbox({ force: true }));
+  
+  // The worker went through the queue with Background Sync
+  navigator.serviceWorker?.addEventListener('message', (e) => {
+    if (e.data?.type !== 'OUTBOX_UPDATED') return;
+    
+    if (e.data.sent > 0) {
+      document.dispatchEvent(new CustomEvent('outbox:sent', { detail: { count: e.data.sent } }));
+    }
+    notifyChange();
+    scheduleRetry();
+  });
+  
+  flushOutbox();
+}
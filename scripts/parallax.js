@@ -3,9 +3,8 @@
  * Creates smooth multi-layer parallax scrolling
  */
 
-import { gsap, ScrollTrigger, shouldReduceMotion } from './gsap-setup.js';
-
-let parallaxInstances = [];
+import { gsap } from './gsap-setup.js';
+import { registerMotion } from './motion.js';
 
 export function initParallax() {
   const hero = document.querySelector('.hero');
@@ -14,72 +13,27 @@ export function initParallax() {
   const layers = hero.querySelectorAll('.layer');
   if (!layers.length) return;
   
-  // Clear existing instances
-  killParallax();
-  
-  // Skip if user prefers reduced motion
-  if (shouldReduceMotion()) {
-    console.log('Parallax disabled: reduced motion preference');
-    return;
-  }
-  
-  // Create parallax effect for each layer
-  layers.forEach(layer => {
-    const speed = parseFloat(layer.dataset.speed) || 0.5;
-    const depth = speed * 100;
-    
-    const tween = gsap.to(layer, {
-      yPercent: depth,
-      ease: 'none',
-      scrollTrigger: {
-        trigger: hero,
-        start: 'top top',
-        end: 'bottom top',
-        scrub: true,
-        invalidateOnRefresh: true
-      }
-    });
-    
-    parallaxInstances.push(tween);
+  // The motion controller builds it while motion is on
+  registerMotion('parallax', {
+    setup: () => Array.from(layers, layer => {
+      const speed = parseFloat(layer.dataset.speed) || 0.5;
+      const depth = speed * 100;
+      
+      return gsap.to(layer, {
+        yPercent: depth,
+        ease: 'none',
+        scrollTrigger: {
+          trigger: hero,
+          start: 'top top',
+          end: 'bottom top',
+          scrub: true,
+          invalidateOnRefresh: true
+        }
+      });
+    }),
+    // Reset layer positions
+    reset: () => gsap.set(layers, { yPercent: 0, clearProps: 'transform' })
   });
   
   console.log(`Parallax initialized with ${layers.length} layers`);
 }
-
-export function killParallax() {
-  parallaxInstances.forEach(instance => {
-    if (instance && instance.scrollTrigger) {
-      instance.scrollTrigger.kill();
-    }
-    if (instance && instance.kill) {
-      instance.kill();
-    }
-  });
-  parallaxInstances = [];
-}
-
-export function toggleParallax(enabled) {
-  if (enabled) {
-    initParallax();
-  } else {
-    killParallax();
-    
-    // Reset layer positions
-    const layers = document.querySelectorAll('.layer');
-    layers.forEach(layer => {
-      gsap.set(layer, { yPercent: 0, clearProps: 'transform' });
-    });
-  }
-}
-
-// Re-initialize on resize (debounced)
-let resizeTimeout;
-window.addEventListener('resize', () => {
-  clearTimeout(resizeTimeout);
-  resizeTimeout = setTimeout(() => {
-    if (!shouldReduceMotion()) {
-      ScrollTrigger.refresh();
-    }
-  }, 250);
-});
-
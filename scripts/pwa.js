@@ -0,0 +1,85 @@
+/**
+ * Progressive Web App
+ * Registers the service worker and offers a reload when a new version is ready
+ */
+
+import { t } from './i18n.js';
+import { html } from './html.js';
+
+let updateRequested = false;
+
+/**
+ * Register sw.js (needs HTTPS or localhost)
+ */
+export function initServiceWorker() {
+  if (!('serviceWorker' in navigator)) {
+    console.log('Service worker not supported');
+    return;
+  }
+  
+  const register = async () => {
+    try {
+      const registration = await navigator.serviceWorker.register('./sw.js');
+      
+      // A new version finished installing while the page was closed
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        showUpdateToast(registration.waiting);
+      }
+      
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        if (!worker) return;
+        
+        worker.addEventListener('statechange', () => {
+          // No controller yet = first install, nothing to update
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+            showUpdateToast(worker);
+          }
+        });
+      });
+      
+      console.log('✅ Service worker registered');
+    } catch (error) {
+      console.error('❌ Service worker registration failed:', error);
+    }
+  };
+  
+  // Reload once the new worker has taken over
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (!updateRequested) return;
+    updateRequested = false;
+    window.location.reload();
+  });
+  
+  // Don't compete with the first page load for bandwidth
+  if (document.readyState === 'complete') {
+    register();
+  } else {
+    window.addEventListener('load', register, { once: true });
+  }
+}
+
+function showUpdateToast(worker) {
+  if (document.querySelector('.update-toast')) return;
+  
+  const toast = document.createElement('div');
+  toast.className = 'update-toast';
+  toast.setAttribute('role', 'status');
+  toast.innerHTML = html`
+    <span class="update-toast-text">${t('pwa.updateAvailable')}</span>
+    <button type="button" class="update-toast-reload">${t('pwa.reload')}</button>
+    <button type="button" class="update-toast-close" aria-label="${t('pwa.close')}">✕</button>
+  `;
+  
+  toast.querySelector('.update-toast-reload').addEventListener('click', () => {
+    updateRequested = true;
+    worker.postMessage({ type: 'SKIP_WAITING' });
+  });
+  
+  toast.querySelector('.update-toast-close').addEventListener('click', () => {
+    toast.remove();
+  });
+  
+  document.body.appendChild(toast);
+  requestAnimationFrame(() => toast.classList.add('show'));
+}
@@ -0,0 +1,452 @@
+/**
+ * QR Codes
+ * Small QR code encoder (ISO/IEC 18004) for links: byte mode, error correction
+ * level M (~15% of the code can be damaged), versions 1-40, mask chosen by the
+ * standard penalty rules. Everything runs locally, no external service.
+ *
+ *   const qr = createQrCode(getLocationUrl('palermo'));
+ *   element.innerHTML = html`<div>${renderQrSvg(qr, { label })}</div>`;
+ *   renderQrPng(qr).then(blob => downloadFile(blob, 'palermo.png', 'image/png'));
+ */
+
+import { html } from './html.js';
+
+// Level M, indexed by version (index 0 unused)
+const ECC_CODEWORDS_PER_BLOCK = [
+  -1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+  26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28
+];
+const NUM_ECC_BLOCKS = [
+  -1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+  17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49
+];
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+const ECC_LEVEL_BITS = 0; // M in the format information
+const BYTE_MODE = 0b0100;
+const PAD_BYTES = [0xec, 0x11];
+
+// Quiet zone the standard asks for around the code, in modules
+export const QR_MARGIN = 4;
+
+function getBit(value, index) {
+  return ((value >>> index) & 1) !== 0;
+}
+
+/* ---------- Capacity ---------- */
+
+// Modules left for data and error correction after all function patterns
+function getRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  
+  if (version >= 2) {
+    const alignCount = Math.floor(version / 7) + 2;
+    result -= (25 * alignCount - 10) * alignCount - 55;
+    if (version >= 7) result -= 36;
+  }
+  
+  return result;
+}
+
+function getDataCodewords(version) {
+  return Math.floor(getRawDataModules(version) / 8) -
+    ECC_CODEWORDS_PER_BLOCK[version] * NUM_ECC_BLOCKS[version];
+}
+
+function getCountBits(version) {
+  return version <= 9 ? 8 : 16;
+}
+
+/* ---------- Reed-Solomon over GF(256), polynomial 0x11D ---------- */
+
+function gfMultiply(x, y) {
+  let z = 0;
+  
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  
+  return z;
+}
+
+function getGeneratorPolynomial(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < degree) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  
+  return result;
+}
+
+function getErrorCorrection(data, generator) {
+  const result = new Array(generator.length).fill(0);
+  
+  data.forEach(byte => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    generator.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  });
+  
+  return result;
+}
+
+/* ---------- Codewords ---------- */
+
+function encodeData(bytes, version) {
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push(getBit(value, i) ? 1 : 0);
+  };
+  
+  push(BYTE_MODE, 4);
+  push(bytes.length, getCountBits(version));
+  bytes.forEach(byte => push(byte, 8));
+  
+  // Terminator, then up to a whole byte
+  const capacity = getDataCodewords(version) * 8;
+  push(0, Math.min(4, capacity - bits.length));
+  push(0, (8 - bits.length % 8) % 8);
+  
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  
+  for (let i = 0; codewords.length < capacity / 8; i++) {
+    codewords.push(PAD_BYTES[i % 2]);
+  }
+  
+  return codewords;
+}
+
+/**
+ * Split data into blocks, add error correction to each and interleave them
+ */
+function addErrorCorrection(data, version) {
+  const blockCount = NUM_ECC_BLOCKS[version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[version];
+  const rawCodewords = Math.floor(getRawDataModules(version) / 8);
+  const shortBlockCount = blockCount - rawCodewords % blockCount;
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+  const generator = getGeneratorPolynomial(eccLength);
+  
+  const blocks = [];
+  for (let i = 0, offset = 0; i < blockCount; i++) {
+    const length = shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1);
+    const block = data.slice(offset, offset + length);
+    const ecc = getErrorCorrection(block, generator);
+    offset += length;
+    
+    // Short blocks get a placeholder so all blocks line up when interleaving
+    if (i < shortBlockCount) block.push(0);
+    blocks.push(block.concat(ecc));
+  }
+  
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLength - eccLength || j >= shortBlockCount) {
+        result.push(block[i]);
+      }
+    });
+  }
+  
+  return result;
+}
+
+/* ---------- Matrix ---------- */
+
+function getAlignmentPositions(version, size) {
+  if (version === 1) return [];
+  
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+  const result = [6];
+  
+  for (let position = size - 7; result.length < count; position -= step) {
+    result.splice(1, 0, position);
+  }
+  
+  return result;
+}
+
+function createMatrix(version) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+  
+  // Timing patterns
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+  
+  // Finder patterns with their separators
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) {
+          set(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  });
+  
+  // Alignment patterns, except where they would overlap the finders
+  const positions = getAlignmentPositions(version, size);
+  const last = positions.length - 1;
+  positions.forEach((cy, i) => {
+    positions.forEach((cx, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+  
+  // Version information (7 and up)
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    const bits = (version << 12) | remainder;
+    
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      set(a, b, getBit(bits, i));
+      set(b, a, getBit(bits, i));
+    }
+  }
+  
+  // Reserve the format areas now, the bits are written once the mask is known
+  drawFormatBits(set, size, 0);
+  
+  return { size, modules, reserved, set };
+}
+
+function drawFormatBits(set, size, mask) {
+  const data = (ECC_LEVEL_BITS << 3) | mask;
+  let remainder = data;
+  for (let i = 0; i < 10; i++) {
+    remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  }
+  const bits = ((data << 10) | remainder) ^ 0x5412;
+  
+  // Around the top left finder
+  for (let i = 0; i <= 5; i++) set(8, i, getBit(bits, i));
+  set(8, 7, getBit(bits, 6));
+  set(8, 8, getBit(bits, 7));
+  set(7, 8, getBit(bits, 8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, getBit(bits, i));
+  
+  // Copy split between the other two finders
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, getBit(bits, i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, getBit(bits, i));
+  
+  // Always dark
+  set(8, size - 8, true);
+}
+
+// Codewords go in two-module columns, zigzagging up and down from the bottom right
+function drawCodewords(matrix, codewords) {
+  const { size, modules, reserved } = matrix;
+  let index = 0;
+  
+  for (let right = size - 1; right >= 1; right -= 2) {
+    // Skip the vertical timing pattern
+    if (right === 6) right = 5;
+    
+    for (let step = 0; step < size; step++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - step : step;
+        
+        if (!reserved[y][x] && index < codewords.length * 8) {
+          modules[y][x] = getBit(codewords[index >>> 3], 7 - (index & 7));
+          index++;
+        }
+      }
+    }
+  }
+}
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+// XOR, so applying the same mask twice removes it
+function applyMask(matrix, mask) {
+  const { size, modules, reserved } = matrix;
+  
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!reserved[y][x] && MASKS[mask](x, y)) {
+        modules[y][x] = !modules[y][x];
+      }
+    }
+  }
+}
+
+const FINDER_LIKE = ['10111010000', '00001011101'];
+
+/**
+ * Penalty score from the standard: long runs, 2x2 blocks, finder-like
+ * patterns and dark/light imbalance make a code harder to scan
+ */
+function getPenalty({ size, modules }) {
+  let penalty = 0;
+  let dark = 0;
+  
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i].map(Number).join(''));
+    lines.push(modules.map(row => Number(row[i])).join(''));
+  }
+  
+  lines.forEach(line => {
+    (line.match(/0{5,}|1{5,}/g) || []).forEach(run => {
+      penalty += run.length - 2;
+    });
+    FINDER_LIKE.forEach(pattern => {
+      for (let i = line.indexOf(pattern); i !== -1; i = line.indexOf(pattern, i + 1)) {
+        penalty += 40;
+      }
+    });
+  });
+  
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      
+      if (x < size - 1 && y < size - 1) {
+        const color = modules[y][x];
+        if (modules[y][x + 1] === color && modules[y + 1][x] === color && modules[y + 1][x + 1] === color) {
+          penalty += 3;
+        }
+      }
+    }
+  }
+  
+  const total = size * size;
+  penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  
+  return penalty;
+}
+
+/**
+ * Encode text (UTF-8) as a QR code: { version, size, isDark(x, y) }
+ * Throws if the text doesn't fit in the largest version.
+ */
+export function createQrCode(text) {
+  const bytes = Array.from(new TextEncoder().encode(text));
+  
+  let version = MIN_VERSION;
+  while (4 + getCountBits(version) + bytes.length * 8 > getDataCodewords(version) * 8) {
+    if (++version > MAX_VERSION) {
+      throw new Error(`Text too long for a QR code (${bytes.length} bytes)`);
+    }
+  }
+  
+  const matrix = createMatrix(version);
+  drawCodewords(matrix, addErrorCorrection(encodeData(bytes, version), version));
+  
+  let bestMask = 0;
+  let bestPenalty = Infinity;
+  MASKS.forEach((_, mask) => {
+    applyMask(matrix, mask);
+    drawFormatBits(matrix.set, matrix.size, mask);
+    
+    const penalty = getPenalty(matrix);
+    if (penalty < bestPenalty) {
+      bestMask = mask;
+      bestPenalty = penalty;
+    }
+    
+    applyMask(matrix, mask);
+  });
+  
+  applyMask(matrix, bestMask);
+  drawFormatBits(matrix.set, matrix.size, bestMask);
+  
+  const { size, modules } = matrix;
+  return {
+    version,
+    size,
+    isDark: (x, y) => modules[y][x]
+  };
+}
+
+/**
+ * Standalone SVG markup (usable inline and as an .svg file), one path for all dark modules
+ */
+export function renderQrSvg(qr, { label = '', margin = QR_MARGIN } = {}) {
+  const side = qr.size + margin * 2;
+  let path = '';
+  
+  for (let y = 0; y < qr.size; y++) {
+    for (let x = 0; x < qr.size; x++) {
+      if (qr.isDark(x, y)) path += `M${x + margin} ${y + margin}h1v1h-1z`;
+    }
+  }
+  
+  return html`<svg xmlns="http://www.w3.org/2000/svg" class="qr-code" viewBox="0 0 ${side} ${side}" shape-rendering="crispEdges" role="img" aria-label="${label}"><rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
+
+/**
+ * PNG image of the code, scale = pixels per module (big enough to print by default)
+ */
+export function renderQrPng(qr, { scale = 16, margin = QR_MARGIN } = {}) {
+  const side = (qr.size + margin * 2) * scale;
+  const canvas = document.createElement('canvas');
+  canvas.width = side;
+  canvas.height = side;
+  
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#fff';
+  context.fillRect(0, 0, side, side);
+  context.fillStyle = '#000';
+  
+  for (let y = 0; y < qr.size; y++) {
+    for (let x = 0; x < qr.size; x++) {
+      if (qr.isDark(x, y)) {
+        context.fillRect((x + margin) * scale, (y + margin) * scale, scale, scale);
+      }
+    }
+  }
+  
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG export failed'))), 'image/png');
+  });
+}
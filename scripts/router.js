@@ -0,0 +1,195 @@
+/**
+ * Hash Router
+ * Deep links for locations and history events:
+ *   #/place/<locationId>
+ *   #/history/<periodId>/<eventNumber>   (eventNumber starts at 1, as in the slider counter)
+ */
+
+import { getLocationById } from './map.js';
+import { openDialog, closeDialog, getDialogData } from './dialog.js';
+import { goToHistoryEvent, getHistoryState } from './history.js';
+
+const ROUTE_PREFIX = '#/';
+
+/**
+ * Parse a location hash into a route object (null for regular anchors like #map)
+ */
+export function parseRoute(hash = window.location.hash) {
+  if (!hash.startsWith(ROUTE_PREFIX)) return null;
+  
+  let parts;
+  try {
+    parts = hash
+      .slice(ROUTE_PREFIX.length)
+      .split('/')
+      .map(part => decodeURIComponent(part));
+  } catch (error) {
+    // Malformed escape like #/place/%E0: same as an unknown route
+    console.warn('⚠️ Malformed route:', hash);
+    return null;
+  }
+  
+  const [name, ...params] = parts;
+  
+  if (name === 'place' && params[0]) {
+    return { name: 'place', locationId: params[0] };
+  }
+  
+  if (name === 'history' && params[0]) {
+    const eventNumber = parseInt(params[1], 10);
+    return {
+      name: 'history',
+      periodId: params[0],
+      eventIndex: Number.isFinite(eventNumber) && eventNumber > 0 ? eventNumber - 1 : 0
+    };
+  }
+  
+  return null;
+}
+
+/**
+ * Build a hash for a route
+ */
+export function buildHash(route) {
+  if (route.name === 'place') {
+    return `${ROUTE_PREFIX}place/${encodeURIComponent(route.locationId)}`;
+  }
+  
+  if (route.name === 'history') {
+    return `${ROUTE_PREFIX}history/${encodeURIComponent(route.periodId)}/${route.eventIndex + 1}`;
+  }
+  
+  return '';
+}
+
+// Absolute link for a location (for sharing)
+export function getLocationUrl(locationId) {
+  const url = new URL(window.location.href);
+  url.hash = buildHash({ name: 'place', locationId });
+  return url.href;
+}
+
+function urlWithoutHash() {
+  return window.location.pathname + window.location.search;
+}
+
+/**
+ * Restore app state from the current URL
+ */
+function applyRoute({ fromHistory = false } = {}) {
+  const route = parseRoute();
+  const openLocation = getDialogData('location');
+  
+  if (route?.name === 'place') {
+    if (openLocation?.id === route.locationId) return;
+    
+    const location = getLocationById(route.locationId);
+    if (location) {
+      openDialog('location', location);
+    } else {
+      console.warn(`⚠️ Unknown location in URL: ${route.locationId}`);
+    }
+    return;
+  }
+  
+  // Back from a place link closes the modal instead of leaving the page
+  if (openLocation) {
+    closeDialog('location');
+  }
+  
+  if (route?.name === 'history') {
+    const current = getHistoryState();
+    const isCurrent = current.periodId === route.periodId && current.eventIndex === route.eventIndex;
+    
+    if (!isCurrent && !goToHistoryEvent(route.periodId, route.eventIndex)) {
+      console.warn(`⚠️ Unknown history period in URL: ${route.periodId}`);
+      return;
+    }
+    
+    // Bring the slider into view when following a link, not on every Back
+    if (!fromHistory) {
+      document.getElementById('history')?.scrollIntoView({ block: 'start' });
+    }
+  }
+}
+
+function handleDialogOpen(e) {
+  const { type, data: location } = e.detail;
+  if (type !== 'location') return;
+  
+  const hash = buildHash({ name: 'place', locationId: location.id });
+  if (window.location.hash === hash) return;
+  
+  // Switching between locations reuses the entry, so one Back still closes the modal
+  if (parseRoute()?.name === 'place') {
+    history.replaceState(history.state, '', hash);
+  } else {
+    history.pushState({ sicilyRoute: 'place' }, '', hash);
+  }
+}
+
+function handleDialogClose(e) {
+  if (e.detail.type !== 'location' || parseRoute()?.name !== 'place') return;
+  
+  if (history.state?.sicilyRoute === 'place') {
+    // Drop the entry we pushed when the modal opened
+    history.back();
+  } else {
+    // Landed on a place link directly: nothing to go back to
+    history.replaceState(null, '', urlWithoutHash());
+  }
+}
+
+function handleHistoryChange(e) {
+  // The location dialog owns the URL while it is open
+  if (getDialogData('location')) return;
+  
+  const { periodId, eventIndex } = e.detail;
+  if (!periodId) return;
+  
+  const hash = buildHash({ name: 'history', periodId, eventIndex });
+  if (window.location.hash === hash) return;
+  
+  const route = parseRoute();
+  
+  // New period = new history entry; moving within a period just updates it
+  if (route?.name === 'history' && route.periodId === periodId) {
+    history.replaceState(history.state, '', hash);
+  } else {
+    history.pushState({ sicilyRoute: 'history' }, '', hash);
+  }
+}
+
+/**
+ * In-page links to routes (e.g. "History of this place" in the modal)
+ * behave like following a deep link: new history entry, then scroll to the target
+ */
+function handleRouteLinkClick(e) {
+  if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+    return;
+  }
+  
+  const link = e.target.closest('a[href^="#/"]');
+  const route = link && parseRoute(link.getAttribute('href'));
+  if (!route) return;
+  
+  e.preventDefault();
+  history.pushState({ sicilyRoute: route.name }, '', buildHash(route));
+  applyRoute();
+}
+
+/**
+ * Initialize router (call once locations and history data are loaded)
+ */
+export function initRouter() {
+  document.addEventListener('dialog:open', handleDialogOpen);
+  document.addEventListener('dialog:close', handleDialogClose);
+  document.addEventListener('history:change', handleHistoryChange);
+  
+  window.addEventListener('popstate', () => applyRoute({ fromHistory: true }));
+  document.addEventListener('click', handleRouteLinkClick);
+  
+  applyRoute();
+  
+  console.log('🧭 Router initialized');
+}
@@ -0,0 +1,298 @@
+/**
+ * Location Search
+ * Fuzzy autocomplete above the map with keyboard-navigable suggestions
+ */
+
+import { getLocations, centerMapOnLocation, isCategoryActive, setCategoryVisibility } from './map.js';
+import { openDialog } from './dialog.js';
+import { getCategory, getCategoryLabel, getLocationCategory } from './categories.js';
+import { t, localize } from './i18n.js';
+import { html } from './html.js';
+
+const MAX_RESULTS = 8;
+
+// Relative importance of each searchable field
+const FIELD_WEIGHTS = {
+  name: 3,
+  tags: 2,
+  summary: 1
+};
+
+let searchIndex = [];
+let indexedSource = null;
+let results = [];
+let activeIndex = -1;
+
+const input = document.getElementById('mapSearchInput');
+const resultsList = document.getElementById('mapSearchResults');
+
+/**
+ * Lowercase and strip accents so "Сиракузы", "siracusa" and "Ragùsa" compare loosely
+ */
+export function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/ё/g, 'е')
+    .trim();
+}
+
+function tokenize(text) {
+  return normalizeText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Levenshtein distance, bailing out early once it exceeds maxDistance
+ */
+function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+  
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+  
+  return previous[b.length];
+}
+
+/**
+ * Score a single query token against a field (0 = no match)
+ */
+function scoreToken(token, field) {
+  if (field.words.some(word => word.startsWith(token))) return 1;
+  if (field.text.includes(token)) return 0.7;
+  
+  // Tolerate typos in longer tokens by comparing against word prefixes
+  if (token.length >= 4) {
+    const maxDistance = token.length >= 7 ? 2 : 1;
+    const fuzzy = field.words.some(word =>
+      editDistance(token, word.slice(0, token.length), maxDistance) <= maxDistance
+    );
+    if (fuzzy) return 0.4;
+  }
+  
+  return 0;
+}
+
+// Names match in every language ("Siracusa" finds Сиракузы in the Russian UI)
+function allTranslations(value) {
+  return value && typeof value === 'object' ? Object.values(value).join(' ') : value;
+}
+
+function buildIndex(locations) {
+  searchIndex = locations.map(location => {
+    const fields = {
+      name: allTranslations(location.name),
+      tags: (localize(location.tags) || []).join(' '),
+      summary: localize(location.summary)
+    };
+    
+    return {
+      location,
+      fields: Object.fromEntries(
+        Object.entries(fields).map(([key, value]) => [key, {
+          text: normalizeText(value),
+          words: tokenize(value)
+        }])
+      )
+    };
+  });
+  
+  indexedSource = locations;
+}
+
+/**
+ * Search locations by name, tags and summary
+ * Every query token has to match at least one field
+ */
+export function searchLocations(query, limit = MAX_RESULTS) {
+  const locations = getLocations();
+  if (locations !== indexedSource) {
+    buildIndex(locations);
+  }
+  
+  const tokens = tokenize(query);
+  if (!tokens.length) return [];
+  
+  return searchIndex
+    .map(entry => {
+      let score = 0;
+      
+      for (const token of tokens) {
+        const best = Math.max(...Object.entries(FIELD_WEIGHTS).map(([key, weight]) =>
+          scoreToken(token, entry.fields[key]) * weight
+        ));
+        if (best === 0) return null;
+        score += best;
+      }
+      
+      return { location: entry.location, score };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(result => result.location);
+}
+
+function renderResults() {
+  if (!resultsList || !input) return;
+  
+  if (!results.length) {
+    resultsList.innerHTML = input.value.trim()
+      ? html`<li class="map-search-empty" role="presentation">${t('search.empty')}</li>`
+      : '';
+    setExpanded(Boolean(input.value.trim()));
+    return;
+  }
+  
+  resultsList.innerHTML = results.map((location, index) => {
+    const categoryId = getLocationCategory(location);
+    const category = getCategory(categoryId);
+    return html`
+      <li id="mapSearchOption-${index}"
+          class="map-search-option ${index === activeIndex ? 'active' : ''}"
+          role="option"
+          aria-selected="${index === activeIndex}"
+          data-index="${index}">
+        <span class="map-search-option-icon" style="background-color: ${category.color};" aria-hidden="true">${category.icon}</span>
+        <span class="map-search-option-name">${localize(location.name)}</span>
+        <span class="map-search-option-category">${getCategoryLabel(categoryId)}</span>
+      </li>
+    `;
+  }).join('');
+  
+  setExpanded(true);
+}
+
+function setExpanded(expanded) {
+  resultsList.hidden = !expanded;
+  input.setAttribute('aria-expanded', String(expanded));
+  
+  if (expanded && activeIndex >= 0) {
+    input.setAttribute('aria-activedescendant', `mapSearchOption-${activeIndex}`);
+  } else {
+    input.removeAttribute('aria-activedescendant');
+  }
+}
+
+function setActiveIndex(index) {
+  if (!results.length) return;
+  
+  activeIndex = (index + results.length) % results.length;
+  renderResults();
+  
+  resultsList.querySelector('.map-search-option.active')?.scrollIntoView({ block: 'nearest' });
+}
+
+function closeResults() {
+  results = [];
+  activeIndex = -1;
+  resultsList.innerHTML = '';
+  setExpanded(false);
+}
+
+/**
+ * Fly to the selected location and open its modal
+ */
+function selectResult(index) {
+  const location = results[index];
+  if (!location) return;
+  
+  input.value = localize(location.name);
+  closeResults();
+  
+  // Make sure the marker is not hidden by the category filter
+  const category = getLocationCategory(location);
+  if (!isCategoryActive(category)) {
+    setCategoryVisibility(category, true);
+  }
+  
+  centerMapOnLocation(location.id);
+  openDialog('location', location);
+}
+
+function handleInput() {
+  results = searchLocations(input.value);
+  activeIndex = results.length ? 0 : -1;
+  renderResults();
+}
+
+function handleKeydown(e) {
+  switch (e.key) {
+    case 'ArrowDown':
+      e.preventDefault();
+      if (resultsList.hidden) {
+        handleInput();
+      } else {
+        setActiveIndex(activeIndex + 1);
+      }
+      break;
+    case 'ArrowUp':
+      e.preventDefault();
+      setActiveIndex(activeIndex - 1);
+      break;
+    case 'Enter':
+      if (activeIndex >= 0) {
+        e.preventDefault();
+        selectResult(activeIndex);
+      }
+      break;
+    case 'Escape':
+      if (!resultsList.hidden) {
+        e.preventDefault();
+        closeResults();
+      } else {
+        input.value = '';
+      }
+      break;
+  }
+}
+
+export function initSearch() {
+  if (!input || !resultsList) return;
+  
+  input.addEventListener('input', handleInput);
+  input.addEventListener('keydown', handleKeydown);
+  input.addEventListener('focus', () => {
+    if (input.value.trim()) handleInput();
+  });
+  
+  // Delay so a click on a suggestion lands before the list closes
+  input.addEventListener('blur', () => {
+    setTimeout(closeResults, 150);
+  });
+  
+  // mousedown keeps focus in the input while picking a suggestion
+  resultsList.addEventListener('mousedown', (e) => {
+    e.preventDefault();
+  });
+  
+  resultsList.addEventListener('click', (e) => {
+    const option = e.target.closest('.map-search-option');
+    if (option) {
+      selectResult(Number(option.dataset.index));
+    }
+  });
+  
+  // Tags and summaries are indexed in the current language
+  document.addEventListener('i18n:change', () => {
+    indexedSource = null;
+    if (!resultsList.hidden) {
+      renderResults();
+    }
+  });
+  
+  console.log('🔍 Location search initialized');
+}
@@ -0,0 +1,138 @@
+/**
+ * Sharing
+ * Share menu for a link: the system share sheet (Web Share API) where available,
+ * copy to clipboard, and a QR code generated locally (scripts/qr.js)
+ * that can be saved as PNG or SVG, e.g. for a printed poster.
+ *
+ *   panel.innerHTML = html`<div>${renderShareMenu({ title, url, filename })}</div>`;
+ *   panel.addEventListener('click', handleShareMenuClick);
+ */
+
+import { t } from './i18n.js';
+import { html } from './html.js';
+import { announce } from './announcer.js';
+import { downloadFile } from './itinerary-export.js';
+import { createQrCode, renderQrSvg, renderQrPng } from './qr.js';
+
+// How long "Copied" stays on the button
+const STATUS_TIMEOUT = 2000; // ms
+
+export function canShareNatively() {
+  return typeof navigator.share === 'function';
+}
+
+/**
+ * Copy text with the Clipboard API, falling back to execCommand (older browsers, http)
+ */
+export async function copyText(text) {
+  if (navigator.clipboard?.writeText) {
+    try {
+      await navigator.clipboard.writeText(text);
+      return;
+    } catch (error) {
+      // Permission denied or no focus: try the old way
+    }
+  }
+  
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.setAttribute('readonly', '');
+  textarea.className = 'visually-hidden';
+  document.body.appendChild(textarea);
+  textarea.select();
+  
+  const copied = document.execCommand('copy');
+  textarea.remove();
+  
+  if (!copied) throw new Error('Copy command failed');
+}
+
+/**
+ * Markup for the share menu; everything the buttons need is stored on the menu itself
+ */
+export function renderShareMenu({ title, url, filename }) {
+  let qr = null;
+  try {
+    qr = createQrCode(url);
+  } catch (error) {
+    console.warn('⚠️ QR code not available:', error.message);
+  }
+  
+  return html`
+    <div class="share-menu" data-share-title="${title}" data-share-url="${url}" data-share-filename="${filename}">
+      ${canShareNatively() && html`
+        <button type="button" class="modal-action" data-share="native">${t('share.native')}</button>
+      `}
+      <div class="share-link">
+        <input type="text" class="share-url" value="${url}" readonly aria-label="${t('share.link')}">
+        <button type="button" class="modal-action" data-share="copy">${t('share.copy')}</button>
+      </div>
+      ${qr && html`
+        <figure class="share-qr">
+          ${renderQrSvg(qr, { label: t('share.qrLabel', { name: title }) })}
+          <figcaption class="share-qr-hint">${t('share.qrHint')}</figcaption>
+        </figure>
+        <div class="share-downloads">
+          <button type="button" class="modal-action" data-share="png">${t('share.downloadPng')}</button>
+          <button type="button" class="modal-action" data-share="svg">${t('share.downloadSvg')}</button>
+        </div>
+      `}
+    </div>
+  `;
+}
+
+// Confirm on the button itself (visible) and through the live region (heard)
+function showStatus(button, message) {
+  const label = button.textContent;
+  button.textContent = message;
+  announce(message);
+  
+  setTimeout(() => {
+    if (button.textContent === message) button.textContent = label;
+  }, STATUS_TIMEOUT);
+}
+
+/**
+ * Delegated click handler for a rendered share menu
+ */
+export async function handleShareMenuClick(e) {
+  const button = e.target.closest('[data-share]');
+  const menu = button?.closest('.share-menu');
+  if (!menu) return;
+  
+  const { shareTitle: title, shareUrl: url, shareFilename: filename } = menu.dataset;
+  
+  switch (button.dataset.share) {
+    case 'native':
+      try {
+        await navigator.share({ title, url });
+      } catch (error) {
+        // AbortError: the visitor closed the share sheet
+        if (error.name !== 'AbortError') console.warn('⚠️ Share failed:', error.message);
+      }
+      break;
+    
+    case 'copy':
+      try {
+        await copyText(url);
+        showStatus(button, t('share.copied'));
+      } catch (error) {
+        // Leave the link selected so it can be copied by hand
+        menu.querySelector('.share-url')?.select();
+        announce(t('share.copyFailed'));
+      }
+      break;
+    
+    case 'svg':
+      downloadFile(String(renderQrSvg(createQrCode(url))), `${filename}.svg`, 'image/svg+xml');
+      break;
+    
+    case 'png':
+      try {
+        downloadFile(await renderQrPng(createQrCode(url)), `${filename}.png`, 'image/png');
+      } catch (error) {
+        console.warn('⚠️ PNG export failed:', error.message);
+      }
+      break;
+  }
+}
@@ -0,0 +1,233 @@
+/**
+ * SVG Map
+ * A light map of Sicily drawn from assets/svg/sicily.svg, without Leaflet or
+ * tiles: locations are projected onto the SVG's viewBox (SVG_PROJECTION) and
+ * shown as pins, real buttons that open the location dialog.
+ *
+ * Used as the intro in the hero (the coastline draws itself, then the pins
+ * appear; decorative there, nothing to tab through), inside map-fallback.js
+ * when Leaflet is missing, and under the Leaflet markers when no tile provider
+ * works (addSvgOverlay).
+ *
+ *   const svgMap = await createSvgMap(container, locations);
+ *   svgMap.highlight(['palermo', 'cefalu']); // null shows all again
+ *   svgMap.setCurrent('palermo');
+ */
+
+import { getCategory, getLocationCategory } from './categories.js';
+import { openDialog } from './dialog.js';
+import { gsap } from './gsap-setup.js';
+import { registerMotion } from './motion.js';
+import { localize } from './i18n.js';
+import { html } from './html.js';
+
+const SVG_URL = './assets/svg/sicily.svg';
+const VIEWBOX = { x: 0, y: 0, width: 1000, height: 600 }; // of sicily.svg
+
+/**
+ * lat/lng -> viewBox: equirectangular around `center`, which lands on (x, y).
+ * The coastline in sicily.svg was projected with these numbers: change both
+ * together, or pass another SVG's projection to createSvgMap / addSvgOverlay.
+ */
+export const SVG_PROJECTION = {
+  center: { lat: 37.46, lng: 14.04 },
+  x: 500,
+  y: 300,
+  scale: 300 // viewBox units per degree of latitude (longitude is shortened by cos(lat))
+};
+
+function getLngScale(projection) {
+  return projection.scale * Math.cos(projection.center.lat * Math.PI / 180);
+}
+
+export function projectCoords({ lat, lng }, projection = SVG_PROJECTION) {
+  return {
+    x: projection.x + (lng - projection.center.lng) * getLngScale(projection),
+    y: projection.y - (lat - projection.center.lat) * projection.scale
+  };
+}
+
+export function unprojectPoint({ x, y }, projection = SVG_PROJECTION) {
+  return {
+    lat: projection.center.lat - (y - projection.y) / projection.scale,
+    lng: projection.center.lng + (x - projection.x) / getLngScale(projection)
+  };
+}
+
+let svgMarkup = null; // Promise of the file's text, fetched once
+
+function loadSvg() {
+  if (!svgMarkup) {
+    svgMarkup = fetch(SVG_URL).then(response => {
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      return response.text();
+    });
+    
+    // Let a later call try again
+    svgMarkup.catch(() => {
+      svgMarkup = null;
+    });
+  }
+  
+  return svgMarkup;
+}
+
+// The SVG's own viewBox (pins are placed in percent of it)
+function getViewBox(svg) {
+  const [x, y, width, height] = (svg.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+  return width > 0 && height > 0 ? { x, y, width, height } : VIEWBOX;
+}
+
+function createSvgElement(markup) {
+  const svg = new DOMParser().parseFromString(markup, 'image/svg+xml').documentElement;
+  
+  // The container (or the pins) describe the map
+  svg.removeAttribute('role');
+  svg.removeAttribute('aria-label');
+  svg.setAttribute('aria-hidden', 'true');
+  svg.setAttribute('focusable', 'false');
+  svg.classList.add('svg-map-image');
+  
+  return document.importNode(svg, true);
+}
+
+function renderPin(location, { interactive, projection, viewBox }) {
+  const { x, y } = projectCoords(location.coords, projection);
+  const left = ((x - viewBox.x) / viewBox.width) * 100;
+  const top = ((y - viewBox.y) / viewBox.height) * 100;
+  const category = getCategory(getLocationCategory(location));
+  const style = `left: ${left}%; top: ${top}%; --category-color: ${category.color};`;
+  
+  // The name is the button's label; shown on hover and focus
+  return interactive ? html`
+    <button type="button" class="svg-map-pin" data-location-id="${location.id}" style="${style}">
+      <span class="svg-map-pin-label">${localize(location.name)}</span>
+    </button>
+  ` : html`
+    <span class="svg-map-pin" data-location-id="${location.id}" style="${style}"></span>
+  `;
+}
+
+/**
+ * Coastline draw-on, then the pins; the motion controller plays it (or not)
+ */
+function registerIntro(svg, pins) {
+  const coastline = svg.querySelector('.sicily-coastline');
+  const island = svg.querySelector('.sicily-island');
+  
+  registerMotion('svg-intro', {
+    setup: () => [
+      gsap.timeline()
+        .fromTo(coastline, { strokeDashoffset: 1 }, { strokeDashoffset: 0, duration: 2.5, ease: 'power1.inOut' })
+        .fromTo(island, { opacity: 0 }, { opacity: 1, duration: 0.8 }, '-=0.8')
+        .fromTo(pins, { opacity: 0, scale: 0 }, { opacity: 1, scale: 1, duration: 0.4, stagger: 0.08, ease: 'back.out(1.5)' })
+    ],
+    reset: () => {
+      gsap.set([coastline, island], { clearProps: 'strokeDashoffset,opacity' });
+      gsap.set(pins, { clearProps: 'opacity,transform' });
+    }
+  });
+}
+
+/**
+ * Render the map into a container; resolves with { highlight, setCurrent, update }.
+ * Options:
+ *   interactive - pins are buttons calling onSelect (default: open the location dialog)
+ *   intro       - play the draw-on animation (one intro per page)
+ *   projection  - how lat/lng map onto the SVG's viewBox (default: SVG_PROJECTION)
+ */
+export async function createSvgMap(container, locations, {
+  interactive = true,
+  intro = false,
+  projection = SVG_PROJECTION,
+  onSelect = location => openDialog('location', location)
+} = {}) {
+  const svg = createSvgElement(await loadSvg());
+  const viewBox = getViewBox(svg);
+  const placed = locations.filter(location => location.coords);
+  let highlight = null; // Set of ids
+  let currentId = null;
+  
+  const pinsLayer = document.createElement('div');
+  pinsLayer.className = 'svg-map-pins';
+  
+  const getPins = () => pinsLayer.querySelectorAll('.svg-map-pin');
+  
+  function updatePins() {
+    getPins().forEach(pin => {
+      const id = pin.dataset.locationId;
+      const highlighted = Boolean(highlight?.has(id));
+      
+      pin.classList.toggle('is-highlighted', highlighted);
+      pin.classList.toggle('is-dimmed', Boolean(highlight) && !highlighted);
+      pin.classList.toggle('is-current', id === currentId);
+    });
+  }
+  
+  // (Re)draw the pins, e.g. with names in a new language
+  function update() {
+    pinsLayer.innerHTML = html`${placed.map(location => renderPin(location, { interactive, projection, viewBox }))}`;
+    updatePins();
+  }
+  
+  if (interactive) {
+    pinsLayer.addEventListener('click', (e) => {
+      const pin = e.target.closest('.svg-map-pin');
+      const location = pin && placed.find(item => item.id === pin.dataset.locationId);
+      if (location) onSelect(location);
+    });
+  }
+  
+  container.classList.add('svg-map');
+  container.classList.toggle('svg-map--intro', intro);
+  container.replaceChildren(svg, pinsLayer);
+  update();
+  
+  if (intro) registerIntro(svg, getPins());
+  
+  return {
+    highlight(locationIds) {
+      highlight = locationIds ? new Set(locationIds) : null;
+      updatePins();
+    },
+    setCurrent(locationId) {
+      currentId = locationId;
+      updatePins();
+    },
+    update
+  };
+}
+
+/**
+ * The SVG island under a Leaflet map's markers (when no tiles load);
+ * the image is stretched over the area its viewBox corners project to.
+ * It sits in the tile pane, below the tile layers, so tiles that come back
+ * (the visitor picks a provider again) cover it.
+ */
+export function addSvgOverlay(leafletMap, { projection = SVG_PROJECTION, viewBox = VIEWBOX } = {}) {
+  const northWest = unprojectPoint({ x: viewBox.x, y: viewBox.y }, projection);
+  const southEast = unprojectPoint({ x: viewBox.x + viewBox.width, y: viewBox.y + viewBox.height }, projection);
+  
+  return L.imageOverlay(SVG_URL, [[southEast.lat, northWest.lng], [northWest.lat, southEast.lng]], {
+    className: 'svg-map-overlay',
+    pane: 'tilePane',
+    alt: ''
+  }).addTo(leafletMap).bringToBack();
+}
+
+/**
+ * Decorative intro in the hero: the island draws itself with all the places
+ */
+export async function initHeroMap(locations) {
+  const container = document.querySelector('.hero-map');
+  if (!container || locations.length === 0) return;
+  
+  try {
+    await createSvgMap(container, locations, { interactive: false, intro: true });
+    console.log('✅ Hero map drawn');
+  } catch (error) {
+    console.warn('⚠️ Hero map not available:', error.message);
+  }
+}
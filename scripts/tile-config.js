@@ -0,0 +1,94 @@
+/**
+ * Tile Source Configuration
+ * Base layers offered in the map's layer switcher, in fallback order.
+ *
+ * Each provider:
+ *   id       - stable key (saved as the visitor's choice)
+ *   name     - label in the layer switcher (string or { ru, en, it })
+ *   url      - Leaflet URL template ({s}, {z}, {x}, {y}, {r})
+ *   options  - passed to L.tileLayer (attribution, maxZoom, subdomains...)
+ *   enabled  - set to false to hide a provider without deleting it
+ *
+ * Behind a proxy, point `url` at the proxied path. For offline use enable
+ * one of the local providers below.
+ */
+
+const OSM_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+
+export const TILE_PROVIDERS = [
+  {
+    id: 'osm',
+    name: 'OpenStreetMap',
+    url: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+    options: {
+      maxZoom: 19,
+      attribution: OSM_ATTRIBUTION
+    }
+  },
+  {
+    id: 'carto-voyager',
+    name: 'CARTO Voyager',
+    url: 'https://{s}.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}{r}.png',
+    options: {
+      maxZoom: 19,
+      subdomains: 'abcd',
+      attribution: `${OSM_ATTRIBUTION} &copy; <a href="https://carto.com/attributions">CARTO</a>`
+    }
+  },
+  {
+    id: 'opentopomap',
+    name: {
+      ru: 'OpenTopoMap (рельеф)',
+      en: 'OpenTopoMap (terrain)',
+      it: 'OpenTopoMap (rilievo)'
+    },
+    url: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',
+    options: {
+      maxZoom: 17,
+      subdomains: 'abc',
+      attribution: `${OSM_ATTRIBUTION}, SRTM | &copy; <a href="https://opentopomap.org">OpenTopoMap</a> (CC-BY-SA)`
+    }
+  },
+  {
+    // Pre-rendered tiles copied into ./tiles/{z}/{x}/{y}.png next to index.html
+    id: 'local',
+    name: {
+      ru: 'Локальные тайлы',
+      en: 'Local tiles',
+      it: 'Tessere locali'
+    },
+    url: './tiles/{z}/{x}/{y}.png',
+    enabled: false,
+    options: {
+      minZoom: 7,
+      maxZoom: 14,
+      attribution: OSM_ATTRIBUTION
+    }
+  },
+  {
+    // MBTiles file served by tools/tile-server.mjs (see README)
+    id: 'mbtiles',
+    name: {
+      ru: 'MBTiles (локальный сервер)',
+      en: 'MBTiles (local server)',
+      it: 'MBTiles (server locale)'
+    },
+    url: 'http://localhost:8081/{z}/{x}/{y}.png',
+    enabled: false,
+    options: {
+      minZoom: 7,
+      maxZoom: 14,
+      attribution: OSM_ATTRIBUTION
+    }
+  }
+];
+
+// Provider shown when the visitor hasn't picked one
+export const DEFAULT_TILE_PROVIDER = 'osm';
+
+// Switch to the next provider once a layer has at least `errorThreshold`
+// failed tiles and they make up `errorRatio` or more of all requests
+export const TILE_FALLBACK = {
+  errorThreshold: 6,
+  errorRatio: 0.5
+};
@@ -0,0 +1,165 @@
+/**
+ * Tile Layers
+ * Builds base layers from tile-config.js, adds the layer switcher
+ * and falls back to the next provider when tiles keep failing
+ */
+
+import { TILE_PROVIDERS, DEFAULT_TILE_PROVIDER, TILE_FALLBACK } from './tile-config.js';
+import { t, localize } from './i18n.js';
+
+const STORAGE_KEY = 'tileProvider';
+
+let map = null;
+let layers = [];
+let activeEntry = null;
+let layersControl = null;
+let autoSwitching = false;
+let noticeTimeout;
+
+/**
+ * Create base layers, add the active one and a layer switcher to the map
+ */
+export function initTileLayers(leafletMap) {
+  map = leafletMap;
+  
+  layers = TILE_PROVIDERS
+    .filter(provider => provider.enabled !== false)
+    .map(provider => ({
+      provider,
+      // CORS tiles can be cached by the service worker without opaque padding
+      layer: L.tileLayer(provider.url, { crossOrigin: true, ...provider.options }),
+      failed: false,
+      stats: { loads: 0, errors: 0 }
+    }));
+  
+  if (!layers.length) {
+    console.error('❌ No tile providers enabled in tile-config.js');
+    return;
+  }
+  
+  layers.forEach(entry => {
+    entry.layer.on('tileload', () => {
+      entry.stats.loads++;
+    });
+    entry.layer.on('tileerror', () => handleTileError(entry));
+  });
+  
+  const saved = localStorage.getItem(STORAGE_KEY);
+  const initial = findEntry(saved) || findEntry(DEFAULT_TILE_PROVIDER) || layers[0];
+  
+  activateEntry(initial);
+  initial.layer.addTo(map);
+  
+  addLayersControl();
+  document.addEventListener('i18n:change', addLayersControl);
+  
+  map.on('baselayerchange', (e) => {
+    const entry = layers.find(item => item.layer === e.layer);
+    if (!entry) return;
+    
+    activateEntry(entry);
+    
+    // The visitor's own choice, not an automatic fallback: remember it and give
+    // the provider a fresh chance (e.g. back online), with the fallback armed again
+    if (!autoSwitching) {
+      entry.failed = false;
+      localStorage.setItem(STORAGE_KEY, entry.provider.id);
+    }
+  });
+  
+  console.log(`✅ Tile layer "${initial.provider.id}" added`);
+}
+
+/**
+ * Layer switcher (only useful with more than one provider),
+ * rebuilt on language change to translate provider names
+ */
+function addLayersControl() {
+  if (layers.length < 2) return;
+  
+  const baseLayers = Object.fromEntries(layers.map(entry => [localize(entry.provider.name), entry.layer]));
+  
+  layersControl?.remove();
+  layersControl = L.control.layers(baseLayers, null, { position: 'topleft', collapsed: true }).addTo(map);
+}
+
+function findEntry(providerId) {
+  return layers.find(entry => entry.provider.id === providerId);
+}
+
+function activateEntry(entry) {
+  activeEntry = entry;
+  entry.stats = { loads: 0, errors: 0 };
+}
+
+function handleTileError(entry) {
+  entry.stats.errors++;
+  
+  if (entry !== activeEntry || entry.failed) return;
+  
+  const { loads, errors } = entry.stats;
+  const ratio = errors / (loads + errors);
+  
+  if (errors >= TILE_FALLBACK.errorThreshold && ratio >= TILE_FALLBACK.errorRatio) {
+    entry.failed = true;
+    console.warn(`⚠️ Tile provider "${entry.provider.id}" is failing (${errors} errors, ${loads} loaded)`);
+    switchToNextProvider(entry);
+  }
+}
+
+/**
+ * Replace a failing layer with the next provider that hasn't failed yet
+ */
+function switchToNextProvider(failedEntry) {
+  const start = layers.indexOf(failedEntry);
+  const next = [...layers.slice(start + 1), ...layers.slice(0, start)].find(entry => !entry.failed);
+  
+  if (!next) {
+    showNotice(t('map.tilesUnavailable'));
+    document.dispatchEvent(new CustomEvent('map:tilesunavailable'));
+    return;
+  }
+  
+  autoSwitching = true;
+  map.removeLayer(failedEntry.layer);
+  next.layer.addTo(map);
+  activateEntry(next);
+  autoSwitching = false;
+  
+  showNotice(t('map.tilesSwitched', { name: localize(next.provider.name) }));
+  console.log(`🔁 Switched tiles to "${next.provider.id}"`);
+}
+
+/**
+ * Short message over the map
+ */
+function showNotice(message) {
+  const container = map.getContainer();
+  let notice = container.querySelector('.map-notice');
+  
+  if (!notice) {
+    notice = document.createElement('div');
+    notice.className = 'map-notice';
+    notice.setAttribute('role', 'status');
+    container.appendChild(notice);
+  }
+  
+  notice.textContent = message;
+  notice.classList.add('show');
+  
+  clearTimeout(noticeTimeout);
+  noticeTimeout = setTimeout(() => {
+    notice.classList.remove('show');
+  }, 5000);
+}
+
+// Provider currently shown (for other modules)
+export function getActiveTileProvider() {
+  return activeEntry ? activeEntry.provider : null;
+}
+
+// False while every provider has failed (map:tilesunavailable was sent)
+// and the visitor hasn't picked one again
+export function hasWorkingTiles() {
+  return layers.some(entry => !entry.failed);
+}
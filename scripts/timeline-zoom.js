@@ -0,0 +1,233 @@
+/**
+ * Timeline Zoom & Pan
+ * Visible year range of the history timeline and the gestures that change it:
+ * wheel (zoom at the pointer, horizontal wheel pans), drag, pinch and keyboard
+ *
+ * The timeline positions its elements with yearToPercent() and re-lays them out
+ * in the onChange callback.
+ */
+
+const MIN_SPAN = 25; // years visible at maximum zoom
+export const ZOOM_STEP = 1.5;
+const PAN_STEP = 0.2; // share of the visible span per key press
+const DRAG_THRESHOLD = 5; // px before a press becomes a drag
+
+let viewport = null;
+let extent = { start: 0, end: 1 };
+let view = { start: 0, end: 1 };
+let onChange = () => {};
+
+const pointers = new Map();
+let gesture = null;
+let suppressClick = false;
+
+/**
+ * Position of a year in the visible range, in percent of the viewport width
+ */
+export function yearToPercent(year) {
+  return (year - view.start) / (view.end - view.start) * 100;
+}
+
+export function getTimelineView() {
+  return { ...view };
+}
+
+function setView(start, end) {
+  const fullSpan = extent.end - extent.start;
+  const span = Math.min(Math.max(end - start, Math.min(MIN_SPAN, fullSpan)), fullSpan);
+  
+  // Keep the visible range inside the timeline
+  const clampedStart = Math.min(Math.max(start, extent.start), extent.end - span);
+  
+  if (clampedStart === view.start && clampedStart + span === view.end) return;
+  
+  view = { start: clampedStart, end: clampedStart + span };
+  onChange(getTimelineView());
+}
+
+// Year under a clientX coordinate
+function yearAt(clientX) {
+  const rect = viewport.getBoundingClientRect();
+  const ratio = rect.width ? (clientX - rect.left) / rect.width : 0.5;
+  return view.start + ratio * (view.end - view.start);
+}
+
+/**
+ * Zoom by factor (>1 zooms in) keeping anchorYear in place
+ */
+export function zoomTimeline(factor, anchorYear = (view.start + view.end) / 2) {
+  const ratio = (anchorYear - view.start) / (view.end - view.start);
+  const span = (view.end - view.start) / factor;
+  const start = anchorYear - ratio * span;
+  
+  setView(start, start + span);
+}
+
+export function panTimeline(years) {
+  setView(view.start + years, view.end + years);
+}
+
+export function resetTimelineZoom() {
+  setView(extent.start, extent.end);
+}
+
+/**
+ * Scroll (and zoom out if needed) so a year range is visible; does nothing if it already is
+ */
+export function revealTimelineRange(start, end) {
+  if (start >= view.start && end <= view.end) return;
+  
+  const span = view.end - view.start;
+  const rangeSpan = end - start;
+  
+  if (rangeSpan <= span) {
+    const center = (start + end) / 2;
+    setView(center - span / 2, center + span / 2);
+  } else {
+    const padding = rangeSpan * 0.05;
+    setView(start - padding, end + padding);
+  }
+}
+
+function isZoomedOut() {
+  return view.start <= extent.start && view.end >= extent.end;
+}
+
+function handleWheel(e) {
+  // Lines or pages instead of pixels
+  const unit = e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? viewport.clientWidth : 1;
+  const deltaX = (e.shiftKey ? e.deltaY : e.deltaX) * unit;
+  const deltaY = e.shiftKey ? 0 : e.deltaY * unit;
+  
+  // Fully zoomed out: let the page scroll on
+  if (deltaY > 0 && Math.abs(deltaY) >= Math.abs(deltaX) && isZoomedOut()) return;
+  
+  e.preventDefault();
+  
+  if (Math.abs(deltaX) > Math.abs(deltaY)) {
+    panTimeline(deltaX / viewport.clientWidth * (view.end - view.start));
+  } else {
+    zoomTimeline(Math.exp(-deltaY * 0.002), yearAt(e.clientX));
+  }
+}
+
+function pinchState() {
+  const [a, b] = Array.from(pointers.values());
+  return {
+    distance: Math.hypot(a.x - b.x, a.y - b.y),
+    center: (a.x + b.x) / 2
+  };
+}
+
+function handlePointerDown(e) {
+  if (e.pointerType === 'mouse' && e.button !== 0) return;
+  
+  pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+  
+  if (pointers.size === 1) {
+    gesture = { type: 'press', startX: e.clientX, lastX: e.clientX };
+    suppressClick = false;
+  } else if (pointers.size === 2) {
+    gesture = { type: 'pinch', ...pinchState() };
+  }
+}
+
+function handlePointerMove(e) {
+  if (!pointers.has(e.pointerId) || !gesture) return;
+  
+  pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+  
+  if (gesture.type === 'pinch' && pointers.size === 2) {
+    const { distance, center } = pinchState();
+    
+    if (gesture.distance > 0) {
+      zoomTimeline(distance / gesture.distance, yearAt(center));
+    }
+    panTimeline((gesture.center - center) / viewport.clientWidth * (view.end - view.start));
+    
+    gesture.distance = distance;
+    gesture.center = center;
+    suppressClick = true;
+    return;
+  }
+  
+  if (gesture.type === 'press' && Math.abs(e.clientX - gesture.startX) > DRAG_THRESHOLD) {
+    gesture.type = 'drag';
+    viewport.setPointerCapture(e.pointerId);
+    viewport.classList.add('is-dragging');
+  }
+  
+  if (gesture.type === 'drag') {
+    panTimeline((gesture.lastX - e.clientX) / viewport.clientWidth * (view.end - view.start));
+    gesture.lastX = e.clientX;
+    suppressClick = true;
+  }
+}
+
+function handlePointerUp(e) {
+  pointers.delete(e.pointerId);
+  
+  if (pointers.size === 0) {
+    gesture = null;
+    viewport.classList.remove('is-dragging');
+  } else if (pointers.size === 1) {
+    // Pinch ended with one finger still down: continue as a drag
+    const [remaining] = pointers.values();
+    gesture = { type: 'drag', startX: remaining.x, lastX: remaining.x };
+  }
+}
+
+// A drag or pinch shouldn't select the period under the pointer
+function handleClickCapture(e) {
+  if (!suppressClick) return;
+  
+  suppressClick = false;
+  e.preventDefault();
+  e.stopPropagation();
+}
+
+/**
+ * Keyboard: +/- zoom, 0 resets, Shift+arrows pan
+ * (plain arrows are left to the slider)
+ */
+export function handleTimelineKeydown(e) {
+  let handled = true;
+  
+  if (e.key === '+' || e.key === '=') {
+    zoomTimeline(ZOOM_STEP);
+  } else if (e.key === '-' || e.key === '_') {
+    zoomTimeline(1 / ZOOM_STEP);
+  } else if (e.key === '0') {
+    resetTimelineZoom();
+  } else if (e.shiftKey && e.key === 'ArrowLeft') {
+    panTimeline(-(view.end - view.start) * PAN_STEP);
+  } else if (e.shiftKey && e.key === 'ArrowRight') {
+    panTimeline((view.end - view.start) * PAN_STEP);
+  } else {
+    handled = false;
+  }
+  
+  if (handled) {
+    e.preventDefault();
+    e.stopPropagation();
+  }
+}
+
+/**
+ * Initialize zoom for a timeline covering [start, end]
+ */
+export function initTimelineZoom(element, range, callback) {
+  viewport = element;
+  extent = { start: range.start, end: range.end };
+  view = { ...extent };
+  onChange = callback;
+  
+  viewport.addEventListener('wheel', handleWheel, { passive: false });
+  viewport.addEventListener('pointerdown', handlePointerDown);
+  viewport.addEventListener('pointermove', handlePointerMove);
+  viewport.addEventListener('pointerup', handlePointerUp);
+  viewport.addEventListener('pointercancel', handlePointerUp);
+  viewport.addEventListener('click', handleClickCapture, true);
+  
+  onChange(getTimelineView());
+}
@@ -0,0 +1,190 @@
+/**
+ * Map Tour
+ * Scrollytelling for the stories section: a sticky map next to the story cards
+ * flies to each story's places as its card reaches the middle of the screen
+ * (one ScrollTrigger per card) and back to the whole island above the first one.
+ * Scrolling up replays the steps in reverse.
+ *
+ * The map is an illustration of the cards (they hold the same text), so it is
+ * inert: no focus stops, no wheel or drag capture while the page scrolls.
+ * With reduced motion it jumps straight to each view.
+ */
+
+import { ScrollTrigger, hasGsap, shouldReduceMotion } from './gsap-setup.js';
+import { getMap, getLocations, createCustomIcon, hasLeaflet } from './map.js';
+import { getCardItem } from './cards.js';
+import { getLocationCategory } from './categories.js';
+import { getActiveTileProvider, hasWorkingTiles } from './tiles.js';
+import { addSvgOverlay } from './svg-map.js';
+import { localize } from './i18n.js';
+
+const STEP_ZOOM = 11; // one place: close enough to see the town
+const MAX_GROUP_ZOOM = 10; // several places: framed together, but not closer than this
+const FLY_DURATION = 1.5; // s
+
+let tourMap = null;
+const markers = new Map(); // locationId -> marker
+let overviewBounds = null;
+let steps = []; // { card, locationIds }
+let currentStep = null;
+
+function createTourMap(container) {
+  tourMap = L.map(container, {
+    zoomControl: false,
+    scrollWheelZoom: false,
+    dragging: false,
+    touchZoom: false,
+    doubleClickZoom: false,
+    boxZoom: false,
+    keyboard: false
+  });
+  
+  // Same tiles as the main map
+  const provider = getActiveTileProvider();
+  if (provider) {
+    L.tileLayer(provider.url, { crossOrigin: true, ...provider.options }).addTo(tourMap);
+  }
+  
+  // Same outline as the main map when no tiles load (now or later)
+  if (hasWorkingTiles()) {
+    document.addEventListener('map:tilesunavailable', () => addSvgOverlay(tourMap), { once: true });
+  } else {
+    addSvgOverlay(tourMap);
+  }
+  
+  getLocations().forEach(location => {
+    if (!location.coords) return;
+    
+    const marker = L.marker([location.coords.lat, location.coords.lng], {
+      icon: createCustomIcon(getLocationCategory(location)),
+      interactive: false,
+      keyboard: false
+    });
+    
+    marker.bindTooltip(localize(location.name), {
+      direction: 'top',
+      offset: [0, -24],
+      className: 'tour-tooltip'
+    });
+    
+    marker.addTo(tourMap);
+    markers.set(location.id, marker);
+  });
+  
+  overviewBounds = L.latLngBounds(Array.from(markers.values(), marker => marker.getLatLng())).pad(0.1);
+  tourMap.fitBounds(overviewBounds, { animate: false });
+}
+
+// Fly there, or jump when motion is reduced
+function moveTo(bounds, maxZoom) {
+  if (shouldReduceMotion()) {
+    tourMap.fitBounds(bounds, { maxZoom, animate: false });
+  } else {
+    tourMap.flyToBounds(bounds, { maxZoom, duration: FLY_DURATION });
+  }
+}
+
+// Emphasise the step's markers (with their names) and dim the rest; null shows all
+function highlightMarkers(locationIds) {
+  markers.forEach((marker, id) => {
+    const highlighted = Boolean(locationIds?.includes(id));
+    const element = marker.getElement();
+    
+    element?.classList.toggle('custom-marker--highlighted', highlighted);
+    element?.classList.toggle('custom-marker--dimmed', Boolean(locationIds) && !highlighted);
+    
+    if (highlighted) {
+      marker.openTooltip();
+    } else {
+      marker.closeTooltip();
+    }
+  });
+}
+
+/**
+ * Show a step of the tour; -1 is the overview above the first story
+ */
+function goToStep(index) {
+  if (index === currentStep) return;
+  currentStep = index;
+  
+  steps.forEach((step, i) => step.card.classList.toggle('is-current', i === index));
+  
+  const step = steps[index];
+  if (!step || step.locationIds.length === 0) {
+    highlightMarkers(null);
+    moveTo(overviewBounds);
+    return;
+  }
+  
+  highlightMarkers(step.locationIds);
+  
+  const points = step.locationIds.map(id => markers.get(id).getLatLng());
+  moveTo(L.latLngBounds(points).pad(0.3), points.length === 1 ? STEP_ZOOM : MAX_GROUP_ZOOM);
+}
+
+// Not registered with motion.js: the steps must follow the scroll even with motion off
+function createTriggers() {
+  steps.forEach((step, index) => ScrollTrigger.create({
+    trigger: step.card,
+    start: 'top center',
+    end: 'bottom center',
+    onToggle: self => {
+      if (self.isActive) goToStep(index);
+    },
+    // Back above the first story: the whole island again
+    onLeaveBack: index === 0 ? () => goToStep(-1) : undefined
+  }));
+}
+
+// The map sticks just below the fixed header, whose height changes with the layout
+function updateStickyOffset(wrapper) {
+  const headerHeight = document.querySelector('.header')?.offsetHeight || 0;
+  wrapper.style.setProperty('--tour-top', `${headerHeight}px`);
+}
+
+function updateTooltips() {
+  getLocations().forEach(location => {
+    markers.get(location.id)?.setTooltipContent(localize(location.name));
+  });
+}
+
+/**
+ * Initialize the tour (after the map data and the story cards are loaded)
+ */
+export function initTour() {
+  const tour = document.querySelector('.stories-tour');
+  const wrapper = tour?.querySelector('.tour-map-wrapper');
+  const container = document.getElementById('storiesMap');
+  
+  // Needs the Leaflet map (not its fallback) and ScrollTrigger
+  if (!container || !hasLeaflet() || !getMap() || !hasGsap() || getLocations().length === 0) {
+    console.log('Map tour disabled: map or ScrollTrigger not available');
+    return;
+  }
+  
+  const cards = tour.querySelectorAll('.story-card[data-card-id]');
+  if (cards.length === 0) return;
+  
+  // Show the map column first: Leaflet needs a sized container
+  wrapper.hidden = false;
+  tour.classList.add('is-active');
+  updateStickyOffset(wrapper);
+  
+  createTourMap(container);
+  
+  steps = Array.from(cards, card => ({
+    card,
+    locationIds: (getCardItem('story', card.dataset.cardId)?.locations || []).filter(id => markers.has(id))
+  }));
+  createTriggers();
+  ScrollTrigger.refresh();
+  
+  window.addEventListener('resize', () => {
+    updateStickyOffset(wrapper);
+    tourMap.invalidateSize();
+  });
+  document.addEventListener('i18n:change', updateTooltips);
+  
+  console.log(`✅ Map tour ready with ${steps.length} steps`);
+}
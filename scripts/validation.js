@@ -0,0 +1,77 @@
+/**
+ * Form Rules
+ * Declarative field schemas, shared by the form in the browser
+ * (scripts/form-validation.js) and the server (tools/server.mjs),
+ * so both accept and reject exactly the same messages.
+ * No DOM here: this module is also loaded by Node.
+ *
+ * A schema maps field names to rules:
+ *   required   - the field can't be empty
+ *   minLength  - at least this many characters
+ *   maxLength  - at most this many characters
+ *   pattern    - RegExp the value must match
+ *   validate   - (value, values) => code | '' or a Promise of it; browser only
+ *   messages   - { code: i18n key } instead of the default form.errors.{code}
+ *
+ * Values are trimmed before checking. Errors are codes:
+ * 'required', 'minLength', 'maxLength', 'pattern' or whatever validate returns.
+ */
+
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const CONTACT_SCHEMA = {
+  name: {
+    required: true,
+    minLength: 2,
+    maxLength: 100,
+    messages: { minLength: 'contact.errors.nameShort' }
+  },
+  email: {
+    required: true,
+    maxLength: 254,
+    pattern: EMAIL_PATTERN,
+    messages: { pattern: 'form.errors.email' }
+  },
+  message: {
+    required: true,
+    minLength: 10,
+    maxLength: 5000,
+    messages: { minLength: 'contact.errors.messageShort' }
+  }
+};
+
+export function normalizeValue(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Error code for one value against the declarative rules, '' if valid
+ * (custom validate functions are run by the form, see form-validation.js)
+ */
+export function validateValue(rules, value) {
+  const text = normalizeValue(value);
+  
+  if (!text) return rules.required ? 'required' : '';
+  if (rules.minLength && text.length < rules.minLength) return 'minLength';
+  if (rules.maxLength && text.length > rules.maxLength) return 'maxLength';
+  if (rules.pattern && !rules.pattern.test(text)) return 'pattern';
+  
+  return '';
+}
+
+/**
+ * Check a whole object against a schema:
+ * { valid, values (trimmed, schema fields only), errors: { field: code } }
+ */
+export function validateData(schema, data = {}) {
+  const values = {};
+  const errors = {};
+  
+  Object.entries(schema).forEach(([field, rules]) => {
+    const error = validateValue(rules, data[field]);
+    values[field] = normalizeValue(data[field]);
+    if (error) errors[field] = error;
+  });
+  
+  return { valid: Object.keys(errors).length === 0, values, errors };
+}
@@ -10,5 +10,5 @@ echo Press Ctrl+C to stop the server
 echo.
 timeout /t 2 /nobreak >nul
 start http://localhost:8080
-npx http-server . -p 8080
+node tools/server.mjs --port 8080
 
@@ -19,5 +19,5 @@ elif command -v open > /dev/null; then
     open http://localhost:8080 &
 fi
 
-npx http-server . -p 8080
+node tools/server.mjs --port 8080
 
@@ -0,0 +1,336 @@
+/**
+ * Service Worker
+ * Offline-first caching for the app shell, data, gallery images and map tiles,
+ * and Background Sync for contact messages written offline (scripts/outbox.js).
+ *
+ * Bump CACHE_VERSION whenever files in SHELL_FILES change, so visitors
+ * get the "update available" toast and a fresh shell.
+ */
+
+const CACHE_VERSION = 'v25';
+
+const SHELL_CACHE = `sicily-shell-${CACHE_VERSION}`;
+const DATA_CACHE = 'sicily-data';
+const IMAGE_CACHE = 'sicily-images';
+const TILE_CACHE = 'sicily-tiles';
+const VENDOR_CACHE = 'sicily-vendor';
+
+// Upper bounds for runtime caches (number of entries)
+const MAX_IMAGES = 150;
+const MAX_TILES = 800;
+
+const SHELL_FILES = [
+  './',
+  './index.html',
+  './public/manifest.webmanifest',
+  './assets/icons/favicon.svg',
+  './assets/icons/icon-192.png',
+  './assets/icons/icon-512.png',
+  './assets/svg/sicily.svg',
+  './styles/main.css',
+  './styles/map.css',
+  './styles/modal.css',
+  './styles/history.css',
+  './scripts/app.js',
+  './scripts/animations.js',
+  './scripts/announcer.js',
+  './scripts/cards.js',
+  './scripts/categories.js',
+  './scripts/chronology.js',
+  './scripts/contact.js',
+  './scripts/dialog.js',
+  './scripts/focus-trap.js',
+  './scripts/form-validation.js',
+  './scripts/geo.js',
+  './scripts/gsap-setup.js',
+  './scripts/history.js',
+  './scripts/html.js',
+  './scripts/i18n.js',
+  './scripts/images.js',
+  './scripts/itinerary.js',
+  './scripts/itinerary-export.js',
+  './scripts/lightbox.js',
+  './scripts/locales/en.js',
+  './scripts/locales/it.js',
+  './scripts/locales/ru.js',
+  './scripts/map-fallback.js',
+  './scripts/map.js',
+  './scripts/modal.js',
+  './scripts/motion.js',
+  './scripts/outbox.js',
+  './scripts/parallax.js',
+  './scripts/pwa.js',
+  './scripts/qr.js',
+  './scripts/router.js',
+  './scripts/search.js',
+  './scripts/share.js',
+  './scripts/svg-map.js',
+  './scripts/tile-config.js',
+  './scripts/tiles.js',
+  './scripts/timeline-zoom.js',
+  './scripts/tour.js',
+  './scripts/validation.js'
+];
+
+const DATA_FILES = [
+  './data/locations.json',
+  './data/history.json',
+  './data/images.json',
+  './data/stories.json',
+  './data/dishes.json',
+  './data/culture.json'
+];
+
+// Third-party hosts for libraries and fonts (cache-first, they are versioned)
+const VENDOR_HOSTS = [
+  'unpkg.com',
+  'cdn.jsdelivr.net',
+  'fonts.googleapis.com',
+  'fonts.gstatic.com'
+];
+
+const TILE_HOSTS = [
+  'tile.openstreetmap.org',
+  'basemaps.cartocdn.com',
+  'tile.opentopomap.org'
+];
+
+// Local tile directory or tile server: /{z}/{x}/{y}.png
+const TILE_PATH = /\/\d+\/\d+\/\d+(@2x)?\.(png|jpe?g|webp)$/;
+
+// Contact outbox, same names as in scripts/outbox.js
+const OUTBOX_DB = 'sicily-outbox';
+const OUTBOX_STORE = 'messages';
+const OUTBOX_SYNC_TAG = 'contact-outbox';
+const CONTACT_ENDPOINT = './api/contact';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    Promise.all([
+      caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES)),
+      caches.open(DATA_CACHE).then(cache => cache.addAll(DATA_FILES))
+    ])
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  // Drop shells from previous versions; runtime caches are kept
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith('sicily-shell-') && key !== SHELL_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The page asks the waiting worker to take over after the visitor confirms
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  
+  const url = new URL(request.url);
+  const sameOrigin = url.origin === self.location.origin;
+  
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, SHELL_CACHE, './index.html'));
+    return;
+  }
+  
+  if (sameOrigin && url.pathname.endsWith('.json') && url.pathname.includes('/data/')) {
+    event.respondWith(staleWhileRevalidate(event, DATA_CACHE));
+    return;
+  }
+  
+  if (isTileRequest(url)) {
+    event.respondWith(cacheFirst(request, TILE_CACHE, MAX_TILES));
+    return;
+  }
+  
+  if (request.destination === 'image' && sameOrigin && url.pathname.includes('/assets/img/')) {
+    event.respondWith(cacheFirst(request, IMAGE_CACHE, MAX_IMAGES));
+    return;
+  }
+  
+  if (VENDOR_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request, VENDOR_CACHE));
+    return;
+  }
+  
+  if (sameOrigin) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+  }
+});
+
+// The connection is back (possibly with the page closed): send queued messages
+self.addEventListener('sync', (event) => {
+  if (event.tag === OUTBOX_SYNC_TAG) {
+    event.waitUntil(sendOutbox());
+  }
+});
+
+function isTileRequest(url) {
+  return TILE_HOSTS.some(host => url.hostname === host || url.hostname.endsWith(`.${host}`)) ||
+    TILE_PATH.test(url.pathname);
+}
+
+// Opaque responses (no-cors) can't be inspected but are still usable
+function isCacheable(response) {
+  return response && (response.ok || response.type === 'opaque');
+}
+
+/**
+ * Serve from cache, otherwise fetch and store (optionally bounded)
+ */
+async function cacheFirst(request, cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request, { ignoreSearch: cacheName === SHELL_CACHE });
+  if (cached) return cached;
+  
+  const response = await fetch(request);
+  
+  if (isCacheable(response)) {
+    await cache.put(request, response.clone());
+    if (maxEntries) {
+      trimCache(cacheName, maxEntries);
+    }
+  }
+  
+  return response;
+}
+
+/**
+ * Try the network, fall back to the cache (and finally to a fallback URL)
+ */
+async function networkFirst(request, cacheName, fallbackUrl) {
+  const cache = await caches.open(cacheName);
+  
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreSearch: true }) ||
+      (fallbackUrl && await cache.match(fallbackUrl));
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * Answer from cache immediately and refresh it in the background
+ */
+async function staleWhileRevalidate(event, cacheName) {
+  const { request } = event;
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  
+  const network = fetch(request)
+    .then(async response => {
+      if (response.ok) {
+        await cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch(() => null);
+  
+  if (cached) {
+    event.waitUntil(network);
+    return cached;
+  }
+  
+  return (await network) || Response.error();
+}
+
+/**
+ * Remove the oldest entries until the cache fits maxEntries
+ * (cache.keys() returns entries in insertion order)
+ */
+async function trimCache(cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  const excess = keys.length - maxEntries;
+  
+  if (excess > 0) {
+    await Promise.all(keys.slice(0, excess).map(key => cache.delete(key)));
+  }
+}
+
+/* ---------- Contact outbox ---------- */
+
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openOutbox() {
+  const request = indexedDB.open(OUTBOX_DB, 1);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+  };
+  return idbRequest(request);
+}
+
+/**
+ * Send pending messages; rejects if any is left, so the browser
+ * schedules another sync attempt later
+ */
+async function sendOutbox() {
+  const db = await openOutbox();
+  const store = (mode) => db.transaction(OUTBOX_STORE, mode).objectStore(OUTBOX_STORE);
+  
+  const messages = await idbRequest(store('readonly').getAll());
+  let sent = 0;
+  let rejected = 0;
+  let failed = 0;
+  
+  for (const message of messages) {
+    if (message.status !== 'pending') continue;
+    
+    try {
+      const response = await fetch(CONTACT_ENDPOINT, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...message.values, id: message.id })
+      });
+      const body = await response.json().catch(() => ({}));
+      
+      if (response.ok && body.ok) {
+        await idbRequest(store('readwrite').delete(message.id));
+        sent++;
+      } else if (body.errors) {
+        // Refused by the server's rules: the page shows it, the visitor decides
+        await idbRequest(store('readwrite').put({ ...message, status: 'rejected' }));
+        rejected++;
+      } else {
+        failed++;
+      }
+    } catch (error) {
+      failed++;
+    }
+  }
+  
+  db.close();
+  
+  // Open pages refresh their list (and confirm what was sent)
+  if (sent > 0 || rejected > 0) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({ type: 'OUTBOX_UPDATED', sent }));
+  }
+  
+  if (failed > 0) {
+    throw new Error(`${failed} queued message(s) not sent`);
+  }
+}
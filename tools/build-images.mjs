@@ -0,0 +1,189 @@
+/**
+ * Responsive Image Build
+ * Resizes the images referenced in data/locations.json, data/history.json,
+ * data/stories.json and index.html into AVIF and WebP variants, makes a tiny blurred placeholder (LQIP)
+ * for each, and writes the manifest scripts/images.js reads (data/images.json).
+ *
+ * Usage:
+ *   npm install --no-save sharp                 # once
+ *   node tools/build-images.mjs
+ *   node tools/build-images.mjs --force         # rebuild variants that are up to date
+ *
+ * Variants go to assets/img/generated/, mirroring the folders under assets/img/.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const IMAGE_DIR = 'assets/img';
+const OUTPUT_DIR = 'assets/img/generated';
+const MANIFEST = 'data/images.json';
+
+const WIDTHS = [480, 960, 1600];
+const PLACEHOLDER_WIDTH = 24;
+
+// Listed from the best compression down: browsers take the first type they support
+const FORMATS = {
+  avif: { quality: 50 },
+  webp: { quality: 75 }
+};
+
+async function loadSharp() {
+  try {
+    return (await import('sharp')).default;
+  } catch {
+    throw new Error('The image build needs sharp: run "npm install --no-save sharp" in the project folder first.');
+  }
+}
+
+async function readJson(file) {
+  return JSON.parse(await fs.readFile(path.join(ROOT, file), 'utf8'));
+}
+
+/**
+ * Local image URLs used by the site, as written in the data ("./assets/img/...")
+ */
+async function collectImages() {
+  const images = new Set();
+  
+  const locations = await readJson('data/locations.json');
+  locations.forEach(location => {
+    (location.gallery || []).forEach(entry => {
+      images.add(typeof entry === 'string' ? entry : entry?.src);
+    });
+  });
+  
+  const history = await readJson('data/history.json');
+  history.forEach(period => {
+    images.add(period.image);
+    (period.events || []).forEach(event => images.add(event.image));
+  });
+  
+  const stories = await readJson('data/stories.json');
+  stories.forEach(story => images.add(story.image));
+  
+  const page = await fs.readFile(path.join(ROOT, 'index.html'), 'utf8');
+  for (const match of page.matchAll(/<img\b[^>]*\ssrc="([^"]+)"/g)) {
+    images.add(match[1]);
+  }
+  
+  return Array.from(images).filter(src =>
+    typeof src === 'string' &&
+    toRelative(src).startsWith(`${IMAGE_DIR}/`) &&
+    !toRelative(src).startsWith(`${OUTPUT_DIR}/`)
+  );
+}
+
+// "./assets/img/a.jpg" -> "assets/img/a.jpg"
+function toRelative(src) {
+  return src.replace(/^\.?\//, '');
+}
+
+async function modifiedTime(file) {
+  try {
+    return (await fs.stat(file)).mtimeMs;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Variants and placeholder for one image; reuses the previous manifest entry
+ * when every variant is newer than the source
+ */
+async function buildImage(sharp, src, previous, force) {
+  const sourceFile = path.join(ROOT, toRelative(src));
+  const sourceTime = await modifiedTime(sourceFile);
+  
+  if (sourceTime === null) {
+    console.warn(`⚠️  Missing ${src}, skipped`);
+    return null;
+  }
+  
+  const { width: originalWidth, height: originalHeight, orientation } = await sharp(sourceFile).metadata();
+  
+  // EXIF orientations 5-8 are rotated by 90°
+  const [width, height] = orientation >= 5
+    ? [originalHeight, originalWidth]
+    : [originalWidth, originalHeight];
+  
+  const widths = [...new Set(WIDTHS.map(size => Math.min(size, width)))];
+  const base = path.posix.join(OUTPUT_DIR, path.posix.relative(IMAGE_DIR, toRelative(src)))
+    .replace(/\.[^.]+$/, '');
+  
+  const sources = {};
+  let upToDate = Boolean(previous);
+  
+  for (const [format, options] of Object.entries(FORMATS)) {
+    sources[format] = [];
+    
+    for (const size of widths) {
+      const output = `${base}-${size}.${format}`;
+      const outputFile = path.join(ROOT, output);
+      const outputTime = await modifiedTime(outputFile);
+      
+      if (force || outputTime === null || outputTime < sourceTime) {
+        await fs.mkdir(path.dirname(outputFile), { recursive: true });
+        const resized = sharp(sourceFile)
+          .rotate()
+          .resize({ width: size, withoutEnlargement: true });
+        await resized[format](options).toFile(outputFile);
+        upToDate = false;
+      }
+      
+      sources[format].push({ src: `./${output}`, width: size });
+    }
+  }
+  
+  if (upToDate && !force) {
+    return previous;
+  }
+  
+  const placeholder = await sharp(sourceFile)
+    .rotate()
+    .resize({ width: PLACEHOLDER_WIDTH })
+    .blur()
+    .webp({ quality: 40 })
+    .toBuffer();
+  
+  console.log(`🖼️  ${src} → ${widths.join(', ')} px`);
+  
+  return {
+    width,
+    height,
+    placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+    sources
+  };
+}
+
+async function main() {
+  const force = process.argv.includes('--force');
+  const sharp = await loadSharp();
+  
+  let previous = {};
+  try {
+    previous = await readJson(MANIFEST);
+  } catch {
+    // First build
+  }
+  
+  const manifest = {};
+  const images = (await collectImages()).sort();
+  
+  for (const src of images) {
+    const entry = await buildImage(sharp, src, previous[src], force);
+    if (entry) {
+      manifest[src] = entry;
+    }
+  }
+  
+  await fs.writeFile(path.join(ROOT, MANIFEST), `${JSON.stringify(manifest, null, 2)}\n`);
+  console.log(`✅ ${Object.keys(manifest).length} of ${images.length} images in ${MANIFEST}`);
+}
+
+main().catch(error => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
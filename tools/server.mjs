@@ -0,0 +1,325 @@
+/**
+ * Local Site Server
+ * Serves the site and receives contact form messages, with no external services.
+ *
+ * Usage:
+ *   node tools/server.mjs
+ *   node tools/server.mjs --port 3000 --store ./.data/contact-messages.jsonl
+ *   node tools/server.mjs --trust-proxy     # behind nginx etc.: client IP from X-Forwarded-For
+ *
+ * POST /api/contact with JSON { name, email, message, id? }:
+ *   201 { ok: true, id }                         saved
+ *   200 { ok: true, id, duplicate: true }        this id was already saved (a retry from the outbox)
+ *   400 { ok: false, errors: { field: code } }   rejected by the form's own schema (scripts/validation.js)
+ *   413, 415                                     body too large, not JSON
+ *   429 { ok: false, error: 'rateLimited' }      too many messages from one IP (see Retry-After)
+ *
+ * Messages are appended to a JSON Lines file, one message per line.
+ * Needs Node.js 20.19+ or 22.7+ (loads scripts/validation.js as an ES module).
+ */
+
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import { createReadStream } from 'node:fs';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { CONTACT_SCHEMA, validateData } from '../scripts/validation.js';
+
+const ROOT = path.resolve(fileURLToPath(new URL('..', import.meta.url)));
+
+const CONTENT_TYPES = {
+  html: 'text/html; charset=utf-8',
+  js: 'text/javascript; charset=utf-8',
+  mjs: 'text/javascript; charset=utf-8',
+  css: 'text/css; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  webmanifest: 'application/manifest+json',
+  svg: 'image/svg+xml',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  ico: 'image/x-icon',
+  woff2: 'font/woff2',
+  txt: 'text/plain; charset=utf-8',
+  md: 'text/plain; charset=utf-8'
+};
+
+const MAX_BODY_SIZE = 16 * 1024; // bytes, plenty for a name, an email and a message
+const RATE_LIMIT = 5; // messages per IP...
+const RATE_WINDOW = 10 * 60 * 1000; // ...per 10 minutes
+
+// Ids the browser assigns to messages (scripts/outbox.js), so retries aren't saved twice
+const MESSAGE_ID_PATTERN = /^[\w-]{8,64}$/;
+
+function parseArgs(argv) {
+  const args = {
+    port: 8080,
+    store: path.join(ROOT, '.data', 'contact-messages.jsonl'),
+    trustProxy: false
+  };
+  
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') {
+      args.port = Number(argv[++i]);
+    } else if (argv[i] === '--store') {
+      args.store = path.resolve(argv[++i]);
+    } else if (argv[i] === '--trust-proxy') {
+      args.trustProxy = true;
+    }
+  }
+  
+  return args;
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store',
+    ...headers
+  });
+  res.end(JSON.stringify(body));
+}
+
+/* ---------- Rate limiting ---------- */
+
+/**
+ * Sliding window: remembers when each IP last sent messages
+ */
+function createRateLimiter(limit, windowMs) {
+  const hits = new Map();
+  
+  // Forget IPs that have been quiet for a whole window
+  setInterval(() => {
+    const now = Date.now();
+    hits.forEach((times, ip) => {
+      if (now - times[times.length - 1] > windowMs) hits.delete(ip);
+    });
+  }, windowMs).unref();
+  
+  return {
+    // Seconds to wait before the next message is accepted, 0 if it is accepted now
+    take(ip) {
+      const now = Date.now();
+      const times = (hits.get(ip) || []).filter(time => now - time < windowMs);
+      
+      if (times.length >= limit) {
+        hits.set(ip, times);
+        return Math.ceil((times[0] + windowMs - now) / 1000);
+      }
+      
+      times.push(now);
+      hits.set(ip, times);
+      return 0;
+    }
+  };
+}
+
+function getClientIp(req, trustProxy) {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (trustProxy && forwarded) {
+    return forwarded.split(',')[0].trim();
+  }
+  
+  return req.socket.remoteAddress;
+}
+
+/* ---------- Contact API ---------- */
+
+/**
+ * Ids of the messages already in the store, so a retried message is saved once
+ */
+async function loadSavedIds(store) {
+  const ids = new Set();
+  let content = '';
+  
+  try {
+    content = await fs.readFile(store, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  
+  content.split('\n').forEach(line => {
+    try {
+      if (line) ids.add(JSON.parse(line).id);
+    } catch {
+      // A damaged line (e.g. cut off by a crash) doesn't stop the server
+    }
+  });
+  
+  return ids;
+}
+
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > limit) {
+        // Drain the rest without keeping it, so the 413 response still gets through
+        req.removeAllListeners('data');
+        req.resume();
+        reject(Object.assign(new Error('Body too large'), { status: 413 }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function createContactHandler({ store, trustProxy, savedIds }) {
+  const limiter = createRateLimiter(RATE_LIMIT, RATE_WINDOW);
+  
+  return async (req, res) => {
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { ok: false, error: 'methodNotAllowed' }, { Allow: 'POST' });
+      return;
+    }
+    
+    if (!String(req.headers['content-type']).startsWith('application/json')) {
+      sendJson(res, 415, { ok: false, error: 'unsupportedMediaType' });
+      return;
+    }
+    
+    let data;
+    try {
+      data = JSON.parse(await readBody(req, MAX_BODY_SIZE));
+    } catch (error) {
+      sendJson(res, error.status || 400, { ok: false, error: error.status ? 'tooLarge' : 'invalidJson' });
+      return;
+    }
+    
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      sendJson(res, 400, { ok: false, error: 'invalidJson' });
+      return;
+    }
+    
+    const { valid, values, errors } = validateData(CONTACT_SCHEMA, data);
+    if (!valid) {
+      sendJson(res, 400, { ok: false, errors });
+      return;
+    }
+    
+    const id = typeof data.id === 'string' && MESSAGE_ID_PATTERN.test(data.id) ? data.id : randomUUID();
+    
+    // Already saved: the first response was lost on the way back, answer again
+    if (savedIds.has(id)) {
+      sendJson(res, 200, { ok: true, id, duplicate: true });
+      return;
+    }
+    
+    // Only valid messages count towards the limit, so a typo doesn't lock anyone out
+    const retryAfter = limiter.take(getClientIp(req, trustProxy));
+    if (retryAfter > 0) {
+      sendJson(res, 429, { ok: false, error: 'rateLimited' }, { 'Retry-After': String(retryAfter) });
+      return;
+    }
+    
+    const record = {
+      id,
+      receivedAt: new Date().toISOString(),
+      ...values
+    };
+    
+    try {
+      await fs.mkdir(path.dirname(store), { recursive: true });
+      await fs.appendFile(store, `${JSON.stringify(record)}\n`, 'utf8');
+      savedIds.add(id);
+    } catch (error) {
+      console.error('❌ Could not save message:', error.message);
+      sendJson(res, 500, { ok: false, error: 'storageFailed' });
+      return;
+    }
+    
+    console.log(`✉️  Message ${record.id} from ${record.email}`);
+    sendJson(res, 201, { ok: true, id: record.id });
+  };
+}
+
+/* ---------- Static files ---------- */
+
+/**
+ * Map a URL path to a file inside ROOT; null for anything outside it
+ * or hidden (.git, .data with the stored messages, ...)
+ */
+function resolveFile(pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch {
+    return null;
+  }
+  
+  if (decoded.split('/').some(segment => segment.startsWith('.'))) return null;
+  
+  const file = path.join(ROOT, decoded.endsWith('/') ? `${decoded}index.html` : decoded);
+  return file.startsWith(ROOT + path.sep) ? file : null;
+}
+
+async function serveStatic(req, res, pathname) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.writeHead(405, { Allow: 'GET, HEAD' }).end();
+    return;
+  }
+  
+  const file = resolveFile(pathname);
+  const stats = file && await fs.stat(file).catch(() => null);
+  
+  if (!stats?.isFile()) {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' }).end('Not found');
+    return;
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': CONTENT_TYPES[path.extname(file).slice(1).toLowerCase()] || 'application/octet-stream',
+    'Content-Length': stats.size,
+    // Local development: always revalidate, the service worker does the caching
+    'Cache-Control': 'no-cache'
+  });
+  
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+  
+  createReadStream(file).pipe(res);
+}
+
+async function main() {
+  const { port, store, trustProxy } = parseArgs(process.argv.slice(2));
+  const savedIds = await loadSavedIds(store);
+  const handleContact = createContactHandler({ store, trustProxy, savedIds });
+  
+  const server = http.createServer(async (req, res) => {
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    
+    const { pathname } = new URL(req.url, 'http://localhost');
+    
+    try {
+      if (pathname === '/api/contact') {
+        await handleContact(req, res);
+      } else {
+        await serveStatic(req, res, pathname);
+      }
+    } catch (error) {
+      console.error('❌', error);
+      if (!res.headersSent) sendJson(res, 500, { ok: false, error: 'serverError' });
+    }
+  });
+  
+  server.listen(port, () => {
+    console.log(`🌋 Serving ${ROOT} at http://localhost:${port}/`);
+    console.log(`   Contact messages are saved to ${store}`);
+  });
+}
+
+main().catch(error => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
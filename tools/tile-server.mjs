@@ -0,0 +1,127 @@
+/**
+ * Local Tile Server
+ * Stand-in tile server for offline use and events with poor connectivity.
+ * Serves /{z}/{x}/{y}.png from either a tile directory or an MBTiles file.
+ *
+ * Usage:
+ *   node tools/tile-server.mjs ./tiles              # directory with {z}/{x}/{y}.png
+ *   node tools/tile-server.mjs sicily.mbtiles       # MBTiles (needs Node 22.5+ for node:sqlite)
+ *   node tools/tile-server.mjs sicily.mbtiles --port 9000
+ *
+ * Then enable the "mbtiles" provider in scripts/tile-config.js.
+ */
+
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+const CONTENT_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp'
+};
+
+const TILE_PATH = /^\/(\d+)\/(\d+)\/(\d+)\.(png|jpe?g|webp)$/;
+
+function parseArgs(argv) {
+  const args = { source: null, port: 8081 };
+  
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') {
+      args.port = Number(argv[++i]);
+    } else {
+      args.source = argv[i];
+    }
+  }
+  
+  return args;
+}
+
+/**
+ * Tiles stored as files: <dir>/{z}/{x}/{y}.<ext>
+ */
+function createDirectorySource(directory) {
+  return {
+    async getTile(z, x, y, ext) {
+      try {
+        const data = await fs.readFile(path.join(directory, String(z), String(x), `${y}.${ext}`));
+        return { data, type: CONTENT_TYPES[ext] };
+      } catch {
+        return null;
+      }
+    }
+  };
+}
+
+/**
+ * Tiles stored in an MBTiles (SQLite) file. MBTiles rows use TMS numbering,
+ * so y is flipped compared to the XYZ scheme Leaflet requests.
+ */
+async function createMBTilesSource(file) {
+  let DatabaseSync;
+  
+  try {
+    ({ DatabaseSync } = await import('node:sqlite'));
+  } catch {
+    throw new Error('Reading MBTiles needs Node.js 22.5+ (node:sqlite). Extract the tiles to a directory instead.');
+  }
+  
+  const db = new DatabaseSync(file, { readOnly: true });
+  const format = db.prepare("SELECT value FROM metadata WHERE name = 'format'").get()?.value || 'png';
+  const query = db.prepare('SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?');
+  
+  return {
+    async getTile(z, x, y) {
+      const row = query.get(z, x, (2 ** z) - 1 - y);
+      return row ? { data: Buffer.from(row.tile_data), type: CONTENT_TYPES[format] || 'application/octet-stream' } : null;
+    }
+  };
+}
+
+async function main() {
+  const { source, port } = parseArgs(process.argv.slice(2));
+  
+  if (!source) {
+    console.error('Usage: node tools/tile-server.mjs <tile-directory | file.mbtiles> [--port 8081]');
+    process.exit(1);
+  }
+  
+  const tiles = source.endsWith('.mbtiles')
+    ? await createMBTilesSource(source)
+    : createDirectorySource(source);
+  
+  const server = http.createServer(async (req, res) => {
+    // The site is served from another port, so allow cross-origin tile requests
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    
+    const match = TILE_PATH.exec(new URL(req.url, 'http://localhost').pathname);
+    if (req.method !== 'GET' || !match) {
+      res.writeHead(404).end();
+      return;
+    }
+    
+    const [, z, x, y, ext] = match;
+    const tile = await tiles.getTile(Number(z), Number(x), Number(y), ext);
+    
+    if (!tile) {
+      res.writeHead(404).end();
+      return;
+    }
+    
+    res.writeHead(200, {
+      'Content-Type': tile.type,
+      'Cache-Control': 'public, max-age=86400'
+    });
+    res.end(tile.data);
+  });
+  
+  server.listen(port, () => {
+    console.log(`🗺️  Serving tiles from ${source} at http://localhost:${port}/{z}/{x}/{y}.png`);
+  });
+}
+
+main().catch(error => {
+  console.error('❌', error.message);
+  process.exit(1);
+});